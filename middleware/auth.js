@@ -1,26 +1,104 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { hashToken } = require('../utils/sessions');
+
+// Personal access tokens start with this, so they can be told apart from
+// session access tokens (JWTs)
+const TOKEN_PREFIX = 'pat_';
+
+// Only refresh a token's lastUsedAt this often, to save a write per request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// Read the token from the Authorization header (for API clients) or the
+// cookie (for the browser)
+const getToken = req => {
+  const header = req.get('authorization');
+  
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  
+  return req.cookies.token;
+};
+
+// Resolve the user a session access token belongs to. The token's session
+// has to still exist, so revoking a session signs it out straight away.
+const authenticateSession = async token => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Tokens issued before sessions existed carry no session id
+  if (!decoded.sid) return null;
+  
+  const session = await Session.exists({
+    _id: decoded.sid,
+    user: decoded.id,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return null;
+  
+  const user = await User.findById(decoded.id).select('-password');
+  return user && { user, sessionId: decoded.sid, scopes: null, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+// Resolve the user a personal access token belongs to, along with the
+// scopes it was granted
+const authenticateAccessToken = async token => {
+  const now = new Date();
+  
+  const accessToken = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }).lean();
+  if (!accessToken) return null;
+  
+  const user = await User.findById(accessToken.user).select('-password');
+  if (!user) return null;
+  
+  if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt > LAST_USED_INTERVAL) {
+    await PersonalAccessToken.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: now } });
+  }
+  
+  return {
+    user,
+    accessTokenId: accessToken._id,
+    scopes: accessToken.scopes,
+    expiresAt: accessToken.expiresAt || null
+  };
+};
+
+const authenticate = token =>
+  token.startsWith(TOKEN_PREFIX) ? authenticateAccessToken(token) : authenticateSession(token);
 
 // Middleware to check if user is authenticated
 exports.isAuthenticated = async (req, res, next) => {
   try {
-    const token = req.cookies.token;
+    const token = getToken(req);
     
     if (!token) {
       return res.status(401).json({ message: 'Authentication required. Please log in.' });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const auth = await authenticate(token);
     
-    if (!user) {
+    if (!auth) {
       return res.status(401).json({ message: 'User not found or session expired.' });
     }
     
-    req.user = user;
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
+    req.accessTokenId = auth.accessTokenId;
+    req.tokenScopes = auth.scopes;
+    req.tokenExpiresAt = auth.expiresAt;
     next();
   } catch (error) {
+    // Expired access tokens are routine: the client refreshes and retries
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Access token expired. Please refresh.', code: 'token_expired' });
+    }
+    
     console.error('Auth middleware error:', error);
     return res.status(401).json({ message: 'Invalid token. Please log in again.' });
   }
@@ -29,17 +107,21 @@ exports.isAuthenticated = async (req, res, next) => {
 // Optional authentication - doesn't block request if not authenticated
 exports.optionalAuth = async (req, res, next) => {
   try {
-    const token = req.cookies.token;
+    const token = getToken(req);
     
     if (!token) {
       return next();
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const auth = await authenticate(token);
     
-    if (user) {
-      req.user = user;
+    // Access tokens without the read scope browse anonymously
+    if (auth && (!auth.scopes || auth.scopes.includes('read'))) {
+      req.user = auth.user;
+      req.sessionId = auth.sessionId;
+      req.accessTokenId = auth.accessTokenId;
+      req.tokenScopes = auth.scopes;
+      req.tokenExpiresAt = auth.expiresAt;
     }
     
     next();
@@ -49,6 +131,28 @@ exports.optionalAuth = async (req, res, next) => {
   }
 };
 
+// Check that a personal access token was granted the scope. Signed-in
+// sessions can do everything, so this only restricts access tokens.
+exports.requireScope = scope => (req, res, next) => {
+  if (req.tokenScopes && !req.tokenScopes.includes(scope)) {
+    return res.status(403).json({ message: `This token is missing the '${scope}' scope.` });
+  }
+  
+  next();
+};
+
+// Account management (passwords, sessions, tokens) needs a signed-in
+// session; access tokens can't be used for it
+exports.requireSession = (req, res, next) => {
+  if (!req.sessionId) {
+    return res.status(403).json({ message: 'This action requires signing in.' });
+  }
+  
+  next();
+};
+
+exports.TOKEN_PREFIX = TOKEN_PREFIX;
+
 // Check if user is admin
 exports.isAdmin = (req, res, next) => {
   if (req.user && req.user.isAdmin) {
@@ -0,0 +1,181 @@
+
+// Default limits per route group: at most `ip` requests per client IP and
+// `user` requests per signed-in user in each `window` seconds. IP limits are
+// looser on the write groups, since several users can share an address.
+// A group can be overridden with an environment variable such as
+// RATE_LIMIT_LOGIN=20/900 (max/window), which sets both limits; a max of 0
+// turns the group off.
+const DEFAULT_LIMITS = {
+  login: { ip: 10, user: 10, window: 15 * 60 },
+  register: { ip: 5, user: 5, window: 60 * 60 },
+  // Requests that send an email
+  email: { ip: 5, user: 5, window: 60 * 60 },
+  auth: { ip: 60, user: 60, window: 15 * 60 },
+  post: { ip: 30, user: 10, window: 10 * 60 },
+  comment: { ip: 90, user: 30, window: 10 * 60 },
+  community: { ip: 10, user: 5, window: 24 * 60 * 60 },
+  vote: { ip: 360, user: 120, window: 60 },
+  message: { ip: 60, user: 20, window: 10 * 60 },
+  // Opening event streams
+  events: { ip: 120, user: 60, window: 10 * 60 }
+};
+
+// Failed logins for the same username lock it out for a doubling period,
+// starting once the threshold is reached
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE = 60 * 1000; // 1 minute
+const LOCKOUT_MAX = 60 * 60 * 1000; // 1 hour
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000; // 1 day
+
+// In-memory hit counter with fixed windows. Any object with the same
+// increment/get/reset methods can replace it (see setStore), e.g. one backed
+// by a shared cache when running several server processes.
+const createMemoryStore = () => {
+  const entries = new Map();
+  
+  const isLive = entry => entry && entry.resetAt > Date.now();
+  
+  // Drop finished windows now and then so the map doesn't keep growing
+  const sweeper = setInterval(() => {
+    entries.forEach((entry, key) => {
+      if (!isLive(entry)) entries.delete(key);
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+  
+  return {
+    // Count a hit, starting a new window if there is none running
+    async increment(key, windowMs) {
+      let entry = entries.get(key);
+      
+      if (!isLive(entry)) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    
+    async get(key) {
+      const entry = entries.get(key);
+      return isLive(entry) ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+let store = createMemoryStore();
+
+const setStore = newStore => {
+  store = newStore;
+};
+
+// Read a group's limit, applying any environment override
+const getLimit = name => {
+  const limit = DEFAULT_LIMITS[name];
+  const override = process.env[`RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`];
+  
+  if (override) {
+    const [max, window] = override.split('/').map(Number);
+    return { ip: max, user: max, window: window || limit.window };
+  }
+  
+  return limit;
+};
+
+const secondsUntil = time => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+const sendTooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({ message });
+};
+
+// Limit a route group. Requests count against the client IP and, when signed
+// in, against the user, so the limit goes after the authentication middleware.
+// The counter closest to its limit decides the headers and the rejection.
+const rateLimit = name => {
+  const limit = getLimit(name);
+  
+  return async (req, res, next) => {
+    const counters = [];
+    if (limit.ip) counters.push({ key: `ip:${req.ip}`, max: limit.ip });
+    if (limit.user && req.user) counters.push({ key: `user:${req.user._id}`, max: limit.user });
+    
+    if (counters.length === 0) return next();
+    
+    try {
+      let tightest;
+      
+      for (const counter of counters) {
+        const { count, resetAt } = await store.increment(`${name}:${counter.key}`, limit.window * 1000);
+        const remaining = counter.max - count;
+        
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { max: counter.max, remaining, resetAt };
+        }
+      }
+      
+      res.set('RateLimit-Limit', String(tightest.max));
+      res.set('RateLimit-Remaining', String(Math.max(0, tightest.remaining)));
+      res.set('RateLimit-Reset', String(secondsUntil(tightest.resetAt)));
+      
+      if (tightest.remaining < 0) {
+        return sendTooManyRequests(res, tightest.resetAt, 'Too many requests. Please try again later.');
+      }
+    } catch (error) {
+      // Don't take the route down with the store
+      console.error('Rate limit error:', error);
+    }
+    
+    next();
+  };
+};
+
+// Usernames are looked up case-sensitively, so failures are counted per exact
+// username; otherwise one account's failures could lock out another
+const loginKey = username => String(username).trim();
+
+// Reject the login straight away while the username is locked out
+const checkLoginLockout = async (req, res, next) => {
+  try {
+    const lockout = await store.get(`lockout:${loginKey(req.body.username)}`);
+    
+    if (lockout) {
+      return sendTooManyRequests(res, lockout.resetAt, 'Too many failed login attempts. Please try again later.');
+    }
+  } catch (error) {
+    console.error('Login lockout error:', error);
+  }
+  
+  next();
+};
+
+// Count a failed login, locking the username out once there are too many
+const recordFailedLogin = async username => {
+  const key = loginKey(username);
+  const { count } = await store.increment(`login-failures:${key}`, FAILURE_WINDOW);
+  
+  if (count >= LOCKOUT_THRESHOLD) {
+    const duration = Math.min(LOCKOUT_BASE * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX);
+    await store.increment(`lockout:${key}`, duration);
+  }
+};
+
+const clearFailedLogins = async username => {
+  const key = loginKey(username);
+  await store.reset(`login-failures:${key}`);
+  await store.reset(`lockout:${key}`);
+};
+
+module.exports = {
+  createMemoryStore,
+  setStore,
+  rateLimit,
+  checkLoginLockout,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,38 @@
+
+const mongoose = require('mongoose');
+
+// Single-use tokens mailed to a user: email verification and password reset
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_email', 'reset_password'],
+    required: true
+  },
+  // SHA-256 of the token; the token itself only exists in the email
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The address the token was sent to
+  email: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+authTokenSchema.index({ tokenHash: 1 }, { unique: true });
+authTokenSchema.index({ user: 1, purpose: 1 });
+
+// Expired tokens are cleaned up by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
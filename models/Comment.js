@@ -7,10 +7,10 @@ const commentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Cleared when the author deletes their account
   author: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   post: {
     type: mongoose.Schema.Types.ObjectId,
@@ -22,16 +22,26 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
-  votes: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    value: {
-      type: Number,
-      enum: [-1, 1]
-    }
+  // Materialized path: every comment above this one, root first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
   }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Number of direct replies
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of replies at any depth that haven't been deleted. A deleted
+  // comment stays in the thread as a tombstone while this is above zero.
+  descendantCount: {
+    type: Number,
+    default: 0
+  },
   voteCount: {
     type: Number,
     default: 0
@@ -43,12 +53,38 @@ const commentSchema = new mongoose.Schema({
   isEdited: {
     type: Boolean,
     default: false
-  }
+  },
+  editedAt: Date,
+  isRemoved: {
+    type: Boolean,
+    default: false
+  },
+  // Set while the content is removed by a moderator
+  removal: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+    at: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date
 }, { timestamps: true });
 
-// Method to calculate vote count
-commentSchema.methods.calculateVoteCount = function() {
-  return this.votes.reduce((total, vote) => total + vote.value, 0);
-};
+// Indexes for loading a thread level by level and whole subtrees at once
+commentSchema.index({ post: 1, parentId: 1, voteCount: -1, createdAt: -1, _id: -1 });
+commentSchema.index({ ancestors: 1, depth: 1 });
+commentSchema.index({ author: 1, createdAt: -1, _id: -1 });
+
+// Full-text search
+commentSchema.index({ content: 'text' });
 
 module.exports = mongoose.model('Comment', commentSchema);
@@ -16,10 +16,10 @@ const communitySchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  // Passed on to a moderator, or cleared, when the creator deletes their account
   creator: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   moderators: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -27,7 +27,8 @@ const communitySchema = new mongoose.Schema({
   }],
   members: {
     type: Number,
-    default: 1
+    default: 0,
+    min: 0
   },
   rules: [{
     title: String,
@@ -43,7 +44,105 @@ const communitySchema = new mongoose.Schema({
     type: String,
     enum: ['public', 'restricted', 'private'],
     default: 'public'
-  }
+  },
+  // Number of open reports that hides a post or comment until a moderator
+  // reviews it. Unset falls back to the site default; 0 turns it off.
+  reportThreshold: {
+    type: Number,
+    min: 0
+  },
+  // Users approved by the moderators: submitters in restricted communities,
+  // invited users in private ones
+  approvedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  joinRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, { timestamps: true });
 
+// Full-text search, with name matches weighted above the description
+communitySchema.index({ name: 'text', description: 'text' }, { weights: { name: 10, description: 1 } });
+
+// Add a user to the community. The user's joined list is the source of truth:
+// the member count only moves when the user document actually changed, so the
+// two sides stay in agreement even under concurrent join/leave requests.
+communitySchema.statics.addMember = async function(communityId, userId) {
+  const User = mongoose.model('User');
+  const result = await User.updateOne(
+    { _id: userId, joinedCommunities: { $ne: communityId } },
+    { $addToSet: { joinedCommunities: communityId } }
+  );
+  
+  if (result.modifiedCount === 0) return false;
+  
+  await this.updateOne({ _id: communityId }, { $inc: { members: 1 } });
+  return true;
+};
+
+// Remove a user from the community, mirroring addMember. The count never
+// goes below zero, even if it had drifted.
+communitySchema.statics.removeMember = async function(communityId, userId) {
+  const User = mongoose.model('User');
+  const result = await User.updateOne(
+    { _id: userId, joinedCommunities: communityId },
+    { $pull: { joinedCommunities: communityId } }
+  );
+  
+  if (result.modifiedCount === 0) return false;
+  
+  await this.updateOne({ _id: communityId, members: { $gt: 0 } }, { $inc: { members: -1 } });
+  return true;
+};
+
+// Recompute the member counts from the users' joined lists, fixing counts
+// that drifted (e.g. a crash between the two writes above, or communities
+// created before the counts were kept). Returns the number corrected.
+communitySchema.statics.reconcileMemberCounts = async function() {
+  const User = mongoose.model('User');
+  const counts = await User.aggregate([
+    { $unwind: '$joinedCommunities' },
+    { $group: { _id: '$joinedCommunities', count: { $sum: 1 } } }
+  ]);
+  const countsByCommunity = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  
+  let operations = [];
+  let corrected = 0;
+  
+  for await (const community of this.find().select('members').lean().cursor()) {
+    const count = countsByCommunity.get(community._id.toString()) || 0;
+    if (community.members === count) continue;
+    
+    operations.push({
+      updateOne: { filter: { _id: community._id }, update: { $set: { members: count } } }
+    });
+    
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      corrected += operations.length;
+      operations = [];
+    }
+  }
+  
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+    corrected += operations.length;
+  }
+  
+  return corrected;
+};
+
 module.exports = mongoose.model('Community', communitySchema);
@@ -0,0 +1,64 @@
+
+const mongoose = require('mongoose');
+
+const communityBanSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A ban keeps the user from posting, commenting and voting in the
+  // community; a mute keeps them from messaging its moderators
+  type: {
+    type: String,
+    enum: ['ban', 'mute'],
+    required: true
+  },
+  // Shown to the user
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  // Only visible to the moderators
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Unset for permanent bans
+  expiresAt: Date
+}, { timestamps: true });
+
+communityBanSchema.index({ community: 1, user: 1, type: 1 }, { unique: true });
+communityBanSchema.index({ community: 1, type: 1, createdAt: -1 });
+
+// Expired bans are cleaned up by MongoDB. The cleanup runs about once a
+// minute, so lookups check the expiry as well.
+communityBanSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Condition matching bans that are still in force
+communityBanSchema.statics.activeFilter = (now = new Date()) => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+// Find the user's active ban (or mute) in a community, if any
+communityBanSchema.statics.findActive = function(communityId, userId, type = 'ban') {
+  return this.findOne({
+    community: communityId,
+    user: userId,
+    type,
+    ...this.activeFilter()
+  });
+};
+
+module.exports = mongoose.model('CommunityBan', communityBanSchema);
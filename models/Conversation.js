@@ -0,0 +1,42 @@
+
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Direct conversations are between two users; modmail is between a user
+  // and the moderators of a community
+  type: {
+    type: String,
+    enum: ['direct', 'modmail'],
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // For modmail, the user who wrote to the moderators
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Users who haven't read the latest messages
+  unreadBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { timestamps: true });
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+conversationSchema.index({ community: 1, type: 1, lastMessageAt: -1, _id: -1 });
+conversationSchema.index({ unreadBy: 1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
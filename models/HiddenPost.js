@@ -0,0 +1,20 @@
+
+const mongoose = require('mongoose');
+
+// A post the user doesn't want to see in listings again
+const hiddenPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+hiddenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+
+module.exports = mongoose.model('HiddenPost', hiddenPostSchema);
@@ -0,0 +1,30 @@
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Cleared when the sender deletes their account
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 10000
+  },
+  // Sent by a moderator answering modmail
+  asModerator: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+messageSchema.index({ conversation: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,91 @@
+
+const mongoose = require('mongoose');
+
+// Every action that can appear in the moderation log
+const ACTIONS = [
+  'update_community',
+  'add_moderator',
+  'remove_moderator',
+  'approve_join_request',
+  'reject_join_request',
+  'approve_user',
+  'unapprove_user',
+  'ban_user',
+  'unban_user',
+  'mute_user',
+  'unmute_user',
+  'remove_post',
+  'approve_post',
+  'lock_post',
+  'unlock_post',
+  'pin_post',
+  'unpin_post',
+  'delete_post',
+  'remove_comment',
+  'approve_comment',
+  'delete_comment',
+  'resolve_reports',
+  'dismiss_reports',
+  'delete_user'
+];
+
+const modLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset for site-wide admin actions
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment', 'User', 'Community']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType'
+  },
+  // The user on the receiving end, e.g. the author of a removed post
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  // Action specific extras, such as a ban's expiry
+  details: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+modLogSchema.index({ createdAt: -1, _id: -1 });
+modLogSchema.index({ community: 1, createdAt: -1, _id: -1 });
+modLogSchema.index({ moderator: 1, createdAt: -1 });
+
+// The log is append-only
+const refuseChange = function() {
+  throw new Error('Moderation log entries cannot be changed');
+};
+
+modLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Moderation log entries cannot be changed'));
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  modLogSchema.pre(operation, refuseChange);
+});
+
+modLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('ModLog', modLogSchema);
@@ -0,0 +1,55 @@
+
+const mongoose = require('mongoose');
+
+// Kinds of notification; users can opt out of each one
+const NOTIFICATION_TYPES = ['post_reply', 'comment_reply', 'mention', 'vote_milestone', 'mod_removal'];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // The user whose action triggered the notification, if any
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community'
+  },
+  // Type specific extras, such as the milestone reached or a removal reason
+  data: mongoose.Schema.Types.Mixed,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, { timestamps: true });
+
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+// Each vote milestone is only notified once per post or comment
+notificationSchema.index(
+  { recipient: 1, post: 1, comment: 1, 'data.milestone': 1 },
+  { unique: true, partialFilterExpression: { type: 'vote_milestone' } }
+);
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
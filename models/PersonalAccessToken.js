@@ -0,0 +1,49 @@
+
+const mongoose = require('mongoose');
+
+// What a personal access token is allowed to do
+const SCOPES = ['read', 'post', 'vote', 'moderate'];
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the token; the token itself is only shown once, on creation
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The start of the token, so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: Date,
+  // Unset for tokens that don't expire
+  expiresAt: Date
+}, { timestamps: true });
+
+personalAccessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+personalAccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Expired tokens are cleaned up by MongoDB
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+const { hotScore, controversyScore } = require('../utils/ranking');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -23,29 +24,37 @@ const postSchema = new mongoose.Schema({
   url: {
     type: String
   },
+  // Cleared when the author deletes their account
   author: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   community: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true,
+    index: true
   },
-  votes: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    value: {
-      type: Number,
-      enum: [-1, 1]
-    }
-  }],
   voteCount: {
     type: Number,
     default: 0
   },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0
+  },
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
   commentCount: {
     type: Number,
     default: 0
@@ -53,17 +62,105 @@ const postSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
-  }
+  },
+  isRemoved: {
+    type: Boolean,
+    default: false
+  },
+  // Set while the content is removed by a moderator
+  removal: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+    at: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  // When the title or content was last edited
+  editedAt: Date,
+  // Locked posts don't accept new comments
+  isLocked: {
+    type: Boolean,
+    default: false
+  },
+  // Pinned posts are shown above a community's listing
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date
 }, { timestamps: true });
 
+// Indexes backing the listing sorts, globally and per community
+postSchema.index({ hotScore: -1, _id: -1 });
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ voteCount: -1, _id: -1 });
+postSchema.index({ controversyScore: -1, _id: -1 });
+postSchema.index({ community: 1, hotScore: -1, _id: -1 });
+postSchema.index({ community: 1, createdAt: -1, _id: -1 });
+postSchema.index({ community: 1, voteCount: -1, _id: -1 });
+postSchema.index({ community: 1, isPinned: 1, pinnedAt: 1 });
+
+// Full-text search, with title matches weighted above content
+postSchema.index({ title: 'text', content: 'text' }, { weights: { title: 10, content: 1 } });
+
+// Score new posts; afterwards the scores are updated along with each vote
+postSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.hotScore = hotScore(this.voteCount, this.createdAt || new Date());
+    this.controversyScore = controversyScore(this.upvotes, this.downvotes);
+  }
+  next();
+});
+
 // Virtual for post URL
 postSchema.virtual('postUrl').get(function() {
   return `/post/${this._id}`;
 });
 
-// Method to calculate vote count
-postSchema.methods.calculateVoteCount = function() {
-  return this.votes.reduce((total, vote) => total + vote.value, 0);
+// Recompute commentCount from the Comment collection, fixing posts whose
+// stored count has drifted. Returns the number of posts corrected.
+postSchema.statics.reconcileCommentCounts = async function() {
+  const Comment = mongoose.model('Comment');
+  const counts = await Comment.aggregate([
+    { $match: { isDeleted: false, isRemoved: { $ne: true } } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+  const countsByPost = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  
+  let operations = [];
+  let corrected = 0;
+  
+  for await (const post of this.find().select('commentCount').lean().cursor()) {
+    const count = countsByPost.get(post._id.toString()) || 0;
+    if (post.commentCount === count) continue;
+    
+    operations.push({
+      updateOne: { filter: { _id: post._id }, update: { $set: { commentCount: count } } }
+    });
+    
+    if (operations.length === 500) {
+      await this.bulkWrite(operations);
+      corrected += operations.length;
+      operations = [];
+    }
+  }
+  
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+    corrected += operations.length;
+  }
+  
+  return corrected;
 };
 
 module.exports = mongoose.model('Post', postSchema);
@@ -0,0 +1,58 @@
+
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  // Cleared when the reporter deletes their account
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  // The community rule the report cites. The title is copied so the report
+  // still reads correctly after the rules are edited.
+  rule: {
+    id: mongoose.Schema.Types.ObjectId,
+    title: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date
+}, { timestamps: true });
+
+// One open report per user per post or comment; once it is closed the user
+// can report the item again. Reports of deleted accounts don't count.
+reportSchema.index({ reporter: 1, target: 1 }, {
+  name: 'reporter_1_target_1_open',
+  unique: true,
+  partialFilterExpression: { status: 'open', reporter: { $type: 'objectId' } }
+});
+reportSchema.index({ target: 1, status: 1 });
+reportSchema.index({ community: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,29 @@
+
+const mongoose = require('mongoose');
+
+// A version of a post or comment that was replaced by an edit. The fields
+// hold what the item said before the edit made at createdAt.
+const revisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  title: String,
+  content: String,
+  imageUrl: String,
+  url: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+revisionSchema.index({ target: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Revision', revisionSchema);
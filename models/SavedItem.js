@@ -0,0 +1,26 @@
+
+const mongoose = require('mongoose');
+
+const savedItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+savedItemSchema.index({ user: 1, target: 1 }, { unique: true });
+savedItemSchema.index({ user: 1, createdAt: -1, _id: -1 });
+savedItemSchema.index({ user: 1, targetType: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('SavedItem', savedItemSchema);
@@ -18,6 +18,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: true,
@@ -27,10 +32,19 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Total karma, kept equal to postKarma + commentKarma
   karma: {
     type: Number,
     default: 0
   },
+  postKarma: {
+    type: Number,
+    default: 0
+  },
+  commentKarma: {
+    type: Number,
+    default: 0
+  },
   bio: {
     type: String,
     default: ''
@@ -42,9 +56,17 @@ const userSchema = new mongoose.Schema({
   joinedCommunities: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community'
+  }],
+  // Notification types the user doesn't want to receive
+  notificationOptOuts: [{
+    type: String,
+    enum: ['post_reply', 'comment_reply', 'mention', 'vote_milestone', 'mod_removal']
   }]
 }, { timestamps: true });
 
+// Full-text search, with username matches weighted above the bio
+userSchema.index({ username: 'text', bio: 'text' }, { weights: { username: 10, bio: 1 } });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
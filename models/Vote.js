@@ -0,0 +1,31 @@
+
+const mongoose = require('mongoose');
+
+const voteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  value: {
+    type: Number,
+    enum: [-1, 1],
+    required: true
+  }
+}, { timestamps: true });
+
+// One vote per user per post or comment
+voteSchema.index({ user: 1, target: 1 }, { unique: true });
+voteSchema.index({ target: 1 });
+
+module.exports = mongoose.model('Vote', voteSchema);
@@ -1,14 +1,35 @@
 
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { isAuthenticated } = require('../middleware/auth');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { isAuthenticated, requireScope, requireSession, TOKEN_PREFIX } = require('../middleware/auth');
+const { rateLimit, checkLoginLockout, recordFailedLogin, clearFailedLogins } = require('../middleware/rateLimit');
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeSessions,
+  revokeAccessTokens,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utils/sessions');
+const { issueToken, consumeToken } = require('../utils/authTokens');
+const { sendMail } = require('../utils/mailer');
+const { paginateQuery } = require('../utils/pagination');
+
+// Base URL of the frontend, used for the links in emails
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 
 // Register new user
 router.post(
   '/register',
+  rateLimit('register'),
   [
     body('username')
       .trim()
@@ -55,6 +76,13 @@ router.post(
 
       await user.save();
 
+      // The account works either way, so a mail failure doesn't fail registration
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+
       res.status(201).json({ message: 'User registered successfully' });
     } catch (error) {
       console.error('Registration error:', error);
@@ -66,10 +94,12 @@ router.post(
 // Login user
 router.post(
   '/login',
+  rateLimit('login'),
   [
     body('username').trim().not().isEmpty().withMessage('Username is required'),
     body('password').not().isEmpty().withMessage('Password is required')
   ],
+  checkLoginLockout,
   async (req, res) => {
     // Check for validation errors
     const errors = validationResult(req);
@@ -83,34 +113,29 @@ router.post(
       // Find user by username
       const user = await User.findOne({ username });
       if (!user) {
+        await recordFailedLogin(username);
         return res.status(401).json({ message: 'Invalid username or password' });
       }
 
       // Check password
       const isMatch = await user.comparePassword(password);
       if (!isMatch) {
+        await recordFailedLogin(username);
         return res.status(401).json({ message: 'Invalid username or password' });
       }
 
-      // Create JWT token
-      const token = jwt.sign(
-        { id: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      await clearFailedLogins(username);
 
-      // Set token in cookie
-      res.cookie('token', token, {
-        httpOnly: true,
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        sameSite: 'strict'
-      });
+      // Start a session and set the access and refresh token cookies
+      const { session, refreshToken } = await createSession(user, req);
+      setAuthCookies(res, session, refreshToken);
 
       // Return user data without password
       const userData = {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         avatar: user.avatar,
         karma: user.karma,
         isAdmin: user.isAdmin,
@@ -125,14 +150,345 @@ router.post(
   }
 );
 
-// Logout user
-router.post('/logout', (req, res) => {
-  res.clearCookie('token');
-  res.json({ message: 'Logged out successfully' });
+// Confirm an email address with the token from the verification email
+router.post(
+  '/verify-email',
+  rateLimit('auth'),
+  [
+    body('token').not().isEmpty().withMessage('Token is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(req.body.token, 'verify_email');
+      if (!authToken) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      // The token only proves the address it was sent to
+      const result = await User.updateOne(
+        { _id: authToken.user, email: authToken.email },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Send a new verification email to the current user
+router.post('/resend-verification', isAuthenticated, requireSession, rateLimit('email'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the
+// address belongs to an account, so it can't be used to look up users.
+router.post(
+  '/forgot-password',
+  rateLimit('email'),
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+
+      // Failures are only logged: an error response here would tell
+      // registered emails apart from unknown ones
+      if (user) {
+        try {
+          const token = await issueToken(user, 'reset_password');
+
+          await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hi ${user.username},\n\n` +
+              `Someone asked to reset the password for your account. If that was you, open this link within the next hour:\n\n` +
+              `${APP_URL}/reset-password?token=${token}\n\n` +
+              `If it wasn't you, you can ignore this email.`
+          });
+        } catch (error) {
+          console.error('Send password reset email error:', error);
+        }
+      }
+
+      res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Set a new password with the token from the reset email
+router.post(
+  '/reset-password',
+  rateLimit('auth'),
+  [
+    body('token').not().isEmpty().withMessage('Token is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(req.body.token, 'reset_password');
+      const user = authToken && await User.findById(authToken.user);
+
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      user.password = req.body.password;
+
+      // Getting the email proves the user owns the address
+      if (user.email === authToken.email && !user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+
+      await user.save();
+
+      // Whoever knew the old password is signed out everywhere and loses
+      // any personal access tokens they created
+      await revokeSessions({ user: user._id });
+      await revokeAccessTokens({ user: user._id });
+
+      res.json({ message: 'Password has been reset. Please log in.' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Swap the refresh token for a new one and issue a fresh access token
+router.post('/refresh', rateLimit('auth'), async (req, res) => {
+  try {
+    const { refreshToken } = req.cookies;
+
+    const rotated = refreshToken && await rotateSession(refreshToken);
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    }
+
+    setAuthCookies(res, rotated.session, rotated.refreshToken);
+
+    res.json({ message: 'Session refreshed' });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout user, ending the current session
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.cookies.refreshToken) {
+      await revokeSessionByToken(req.cookies.refreshToken);
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the current user's active sessions (with cursor pagination)
+router.get('/sessions', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const page = await paginateQuery(
+      Session,
+      { user: req.user._id, expiresAt: { $gt: new Date() } },
+      { lastUsedAt: -1, _id: -1 },
+      req.query,
+      { select: 'userAgent ip createdAt lastUsedAt expiresAt' }
+    );
+
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+
+    page.items = page.items.map(session => ({
+      ...session,
+      isCurrent: session._id.toString() === req.sessionId
+    }));
+
+    res.json(page);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke all of the current user's sessions except this one
+router.delete('/sessions', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ user: req.user._id, _id: { $ne: req.sessionId } });
+
+    res.json({ message: 'Other sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id) &&
+      await revokeSessions({ _id: req.params.id, user: req.user._id });
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    // Revoking the current session is the same as logging out
+    if (req.params.id === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the current user's personal access tokens (with cursor pagination)
+router.get('/tokens', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const page = await paginateQuery(
+      PersonalAccessToken,
+      { user: req.user._id },
+      { createdAt: -1, _id: -1 },
+      req.query,
+      { select: 'name prefix scopes lastUsedAt expiresAt createdAt' }
+    );
+
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Get tokens error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a personal access token for API clients. The token is only ever
+// returned in this response.
+router.post(
+  '/tokens',
+  isAuthenticated,
+  requireSession,
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and cannot exceed 100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(PersonalAccessToken.SCOPES).withMessage('Invalid scope'),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Expiry must be between 1 and 365 days')
+      .toInt()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+      const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+      const accessToken = await PersonalAccessToken.create({
+        user: req.user._id,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 8),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+      });
+
+      res.status(201).json({
+        _id: accessToken._id,
+        name: accessToken.name,
+        prefix: accessToken.prefix,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        createdAt: accessToken.createdAt,
+        token
+      });
+    } catch (error) {
+      console.error('Create token error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Revoke a personal access token
+router.delete('/tokens/:id', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const revoked = mongoose.isValidObjectId(req.params.id) &&
+      await revokeAccessTokens({ _id: req.params.id, user: req.user._id });
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+
+    res.json({ message: 'Token revoked' });
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 // Get current user
-router.get('/me', isAuthenticated, async (req, res) => {
+router.get('/me', isAuthenticated, requireScope('read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     res.json(user);
@@ -142,4 +498,18 @@ router.get('/me', isAuthenticated, async (req, res) => {
   }
 });
 
+// Helper function to email the user a link that verifies their address
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user, 'verify_email');
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm your email address by opening this link:\n\n` +
+      `${APP_URL}/verify-email?token=${token}\n\n` +
+      `The link expires in 24 hours.`
+  });
+}
+
 module.exports = router;
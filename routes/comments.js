@@ -1,41 +1,152 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
 const User = require('../models/User');
-const { isAuthenticated, optionalAuth } = require('../middleware/auth');
+const { isAuthenticated, optionalAuth, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { canView, getActiveBan, bannedResponse, getPostCommunity } = require('../utils/communityAccess');
+const { findUserComments } = require('../utils/commentListing');
+const { loadThread, toTombstone, countVisibleReplies, VISIBLE_FILTER } = require('../utils/commentTree');
+const { castVote, attachUserVotes } = require('../utils/voting');
+const { canModerate, presentRemoved, removeContent, approveContent } = require('../utils/moderation');
+const { fileReport, closeReports } = require('../utils/reports');
+const { logModAction } = require('../utils/modLog');
+const { notify, notifyMentions } = require('../utils/notifications');
+const { publish, channels } = require('../utils/eventBus');
+const { applyEdit, getEditBlock, canViewRevisions, getRevisionPage } = require('../utils/revisions');
+const { saveItem, unsaveItem, attachSavedState } = require('../utils/savedItems');
 
-// Get comments for a post
+// Maximum number of parent comments shown above a permalinked comment
+const MAX_CONTEXT = 8;
+
+// Get comments for a post as a tree (top level paginated by cursor)
+// Query: limit, after, before, depth, replyLimit
 router.get('/post/:postId', optionalAuth, async (req, res) => {
   try {
-    const comments = await Comment.find({ 
-      post: req.params.postId,
-      parentId: null, // Only get top-level comments
-      isDeleted: false
-    })
-      .sort({ voteCount: -1, createdAt: -1 }) // Sort by votes then by date
+    const post = await Post.findById(req.params.postId);
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This post is in a private community' });
+    }
+    
+    const viewer = { userId: req.user?._id, isModerator: canModerate(community, req.user) };
+    const page = await loadThread({ postId: post._id, query: req.query, viewer });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load more replies to a comment (continuation of a thread branch)
+// Query: limit, after, before, depth, replyLimit
+router.get('/:id/replies', optionalAuth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id).lean();
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const post = await Post.findById(comment.post);
+    const community = post && await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This comment is in a private community' });
+    }
+    
+    const viewer = { userId: req.user?._id, isModerator: canModerate(community, req.user) };
+    const page = await loadThread({ postId: comment.post, parent: comment, query: req.query, viewer });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get comment replies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single comment (permalink) with its parent comments as context
+// Query: context (number of parents), depth, replyLimit
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.id, ...VISIBLE_FILTER })
       .populate('author', 'username avatar')
       .lean();
     
-    // Get replies for each comment
-    for (let comment of comments) {
-      const replies = await getCommentReplies(comment._id, req.user?._id);
-      comment.replies = replies;
-      
-      // If user is authenticated, add their vote status
-      if (req.user) {
-        const userVote = comment.votes.find(vote => 
-          vote.user && vote.user.toString() === req.user._id.toString()
-        );
-        comment.userVote = userVote ? userVote.value : 0;
-      }
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const post = await Post.findById(comment.post)
+      .select('title community')
+      .populate('community', 'name icon')
+      .lean();
+    // Comments whose post or community is gone are treated as missing
+    const community = post && await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
     
-    res.json(comments);
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This comment is in a private community' });
+    }
+    
+    // Parents closest to the comment, root first
+    const contextSize = Math.min(Math.max(parseInt(req.query.context) || 0, 0), MAX_CONTEXT);
+    const contextIds = contextSize > 0 ? comment.ancestors.slice(-contextSize) : [];
+    const context = await Comment.find({ _id: { $in: contextIds } })
+      .populate('author', 'username avatar')
+      .lean();
+    context.sort((a, b) => a.depth - b.depth);
+    
+    // The comment's own replies
+    const viewer = { userId: req.user?._id, isModerator: canModerate(community, req.user) };
+    const replies = await loadThread({
+      postId: comment.post,
+      parent: comment,
+      query: { ...req.query, after: undefined, before: undefined },
+      viewer
+    });
+    
+    for (const shown of [...context, comment]) {
+      if (shown.isDeleted) toTombstone(shown);
+      presentRemoved(shown, viewer, { hideAuthor: true });
+    }
+    await attachUserVotes([...context, comment].filter(c => !c.isDeleted), req.user?._id);
+    await attachSavedState([...context, comment].filter(c => !c.isDeleted), req.user?._id);
+    comment.replies = replies.items;
+    if (replies.paging.after) {
+      const replyCounts = await countVisibleReplies(comment.post, [comment]);
+      comment.moreReplies = {
+        count: replyCounts.get(comment._id.toString()) - replies.items.length,
+        after: replies.paging.after
+      };
+    }
+    
+    res.json({ post, context, comment });
   } catch (error) {
-    console.error('Get comments error:', error);
+    console.error('Get comment error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -44,6 +155,8 @@ router.get('/post/:postId', optionalAuth, async (req, res) => {
 router.post(
   '/',
   isAuthenticated,
+  requireScope('post'),
+  rateLimit('comment'),
   [
     body('postId').not().isEmpty().withMessage('Post ID is required'),
     body('content').trim().isLength({ min: 1 }).withMessage('Comment content is required'),
@@ -61,16 +174,42 @@ router.post(
       
       // Check if post exists
       const post = await Post.findById(postId);
-      if (!post) {
+      if (!post || post.isDeleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
       
+      const community = await getPostCommunity(post);
+      if (!community) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      if (!canView(community, req.user)) {
+        return res.status(403).json({ message: 'This post is in a private community' });
+      }
+      
+      const ban = await getActiveBan(community, req.user);
+      if (ban) {
+        return res.status(403).json(bannedResponse(ban));
+      }
+      
+      // Moderators can still comment on locked or removed posts
+      if ((post.isLocked || post.isRemoved) && !canModerate(community, req.user)) {
+        return res.status(403).json({
+          message: post.isLocked ? 'This post is locked' : 'This post has been removed'
+        });
+      }
+      
       // Check if parent comment exists if parentId is provided
+      let parentComment = null;
       if (parentId) {
-        const parentComment = await Comment.findById(parentId);
-        if (!parentComment) {
+        parentComment = await Comment.findById(parentId);
+        if (!parentComment || !parentComment.post.equals(post._id)) {
           return res.status(404).json({ message: 'Parent comment not found' });
         }
+        
+        if (parentComment.isDeleted) {
+          return res.status(400).json({ message: 'Cannot reply to a deleted comment' });
+        }
       }
       
       // Create new comment
@@ -78,18 +217,45 @@ router.post(
         content,
         author: req.user._id,
         post: postId,
-        parentId: parentId || null
+        parentId: parentComment ? parentComment._id : null,
+        ancestors: parentComment ? [...parentComment.ancestors, parentComment._id] : [],
+        depth: parentComment ? parentComment.depth + 1 : 0
       });
       
       await newComment.save();
       
+      if (parentComment) {
+        await Comment.updateOne({ _id: parentComment._id }, { $inc: { replyCount: 1 } });
+        await Comment.updateMany({ _id: { $in: newComment.ancestors } }, { $inc: { descendantCount: 1 } });
+      }
+      
       // Increment comment count on post
-      post.commentCount += 1;
-      await post.save();
+      await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+      
+      // Let the author of the post or parent comment know about the reply
+      const repliedTo = parentComment ? parentComment.author : post.author;
+      await notify({
+        recipient: repliedTo,
+        type: parentComment ? 'comment_reply' : 'post_reply',
+        actor: req.user._id,
+        post: post._id,
+        comment: newComment._id,
+        community: post.community
+      });
+      await notifyMentions({
+        text: content,
+        actor: req.user._id,
+        post: post._id,
+        comment: newComment._id,
+        community,
+        exclude: [repliedTo]
+      });
       
       // Populate author info before sending response
       await newComment.populate('author', 'username avatar');
       
+      publish(channels.post(post._id), 'comment', newComment);
+      
       res.status(201).json(newComment);
     } catch (error) {
       console.error('Create comment error:', error);
@@ -102,6 +268,7 @@ router.post(
 router.put(
   '/:id',
   isAuthenticated,
+  requireScope('post'),
   [
     body('content').trim().isLength({ min: 1 }).withMessage('Comment content is required')
   ],
@@ -115,20 +282,23 @@ router.put(
     try {
       const comment = await Comment.findById(req.params.id);
       
-      if (!comment) {
+      if (!comment || comment.isDeleted) {
         return res.status(404).json({ message: 'Comment not found' });
       }
       
       // Check if user is the author
-      if (comment.author.toString() !== req.user._id.toString()) {
+      if (comment.author?.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: 'Not authorized to update this comment' });
       }
       
-      // Update comment
-      comment.content = req.body.content;
-      comment.isEdited = true;
+      const post = await Post.findById(comment.post).select('isLocked isRemoved');
+      const blocked = post && getEditBlock(post, comment);
+      if (blocked) {
+        return res.status(403).json({ message: blocked });
+      }
       
-      await comment.save();
+      // The replaced version is kept as a revision
+      await applyEdit('Comment', comment, { content: req.body.content }, req.user._id);
       
       // Populate author info before sending response
       await comment.populate('author', 'username avatar');
@@ -141,24 +311,72 @@ router.put(
   }
 );
 
+// Get a comment's edit history, newest first (author and moderators only,
+// with cursor pagination). Each revision is the version an edit replaced.
+router.get('/:id/revisions', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.id, isDeleted: false });
+    
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const post = await Post.findById(comment.post);
+    const community = post && await getPostCommunity(post);
+    if (!canViewRevisions(comment, community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view the edit history' });
+    }
+    
+    const page = await getRevisionPage(comment, req.query);
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get comment revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete a comment
-router.delete('/:id', isAuthenticated, async (req, res) => {
+router.delete('/:id', isAuthenticated, requireScope('post'), async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
     
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
     // Check if user is the author or admin
-    if (comment.author.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    if (comment.author?.toString() !== req.user._id.toString() && !req.user.isAdmin) {
       return res.status(403).json({ message: 'Not authorized to delete this comment' });
     }
     
-    // Soft delete
-    comment.isDeleted = true;
-    comment.content = '[deleted]';
-    await comment.save();
+    // Soft delete; only the request that actually flips the flag updates the
+    // counts, so concurrent deletes can't decrement twice
+    const deleted = await Comment.findOneAndUpdate(
+      { _id: comment._id, isDeleted: false },
+      { $set: { isDeleted: true, content: '[deleted]' } }
+    );
+    
+    if (deleted) {
+      if (comment.author?.toString() !== req.user._id.toString()) {
+        const post = await Post.findById(comment.post).select('community');
+        await logCommentAction(req, 'delete_comment', comment, post && post.community);
+      }
+      
+      // Removed comments were already taken off the count
+      if (!deleted.isRemoved) {
+        await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+      }
+      
+      // The parents no longer have this comment as a live reply; once a deleted
+      // parent has none left it drops out of the thread
+      if (comment.ancestors.length > 0) {
+        await Comment.updateMany({ _id: { $in: comment.ancestors } }, { $inc: { descendantCount: -1 } });
+      }
+    }
     
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
@@ -168,7 +386,7 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
 });
 
 // Vote on a comment
-router.post('/:id/vote', isAuthenticated, async (req, res) => {
+router.post('/:id/vote', isAuthenticated, requireScope('vote'), rateLimit('vote'), async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
     
@@ -176,6 +394,21 @@ router.post('/:id/vote', isAuthenticated, async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
+    const post = await Post.findById(comment.post);
+    const community = post && await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This comment is in a private community' });
+    }
+    
+    const ban = await getActiveBan(community, req.user);
+    if (ban) {
+      return res.status(403).json(bannedResponse(ban));
+    }
+    
     const { vote } = req.body;
     const voteValue = parseInt(vote);
     
@@ -184,52 +417,186 @@ router.post('/:id/vote', isAuthenticated, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vote value' });
     }
     
-    // Check if user has already voted
-    const existingVoteIndex = comment.votes.findIndex(
-      v => v.user && v.user.toString() === req.user._id.toString()
-    );
+    const voteCount = await castVote({
+      targetType: 'Comment',
+      target: comment,
+      userId: req.user._id,
+      value: voteValue
+    });
     
-    if (existingVoteIndex !== -1) {
-      if (voteValue === 0) {
-        // Remove vote
-        comment.votes.splice(existingVoteIndex, 1);
-      } else {
-        // Update existing vote
-        comment.votes[existingVoteIndex].value = voteValue;
-      }
-    } else if (voteValue !== 0) {
-      // Add new vote
-      comment.votes.push({
-        user: req.user._id,
-        value: voteValue
-      });
+    res.json({ 
+      message: 'Vote recorded', 
+      voteCount,
+      userVote: voteValue
+    });
+  } catch (error) {
+    console.error('Vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save a comment for later
+router.post('/:id/save', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid comment id' });
     }
     
-    // Recalculate vote count
-    comment.voteCount = comment.calculateVoteCount();
+    const comment = await Comment.findOne({ _id: req.params.id, isDeleted: false });
     
-    await comment.save();
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
     
-    // Update user karma
-    const author = await User.findById(comment.author);
-    if (author) {
-      author.karma = await calculateUserKarma(author._id);
-      await author.save();
+    const post = await Post.findById(comment.post);
+    const community = post && await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
     
-    res.json({ 
-      message: 'Vote recorded', 
-      voteCount: comment.voteCount,
-      userVote: voteValue
-    });
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This comment is in a private community' });
+    }
+    
+    await saveItem(req.user._id, 'Comment', comment._id);
+    
+    res.json({ message: 'Comment saved', saved: true });
   } catch (error) {
-    console.error('Vote error:', error);
+    console.error('Save comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a comment from the saved items
+router.post('/:id/unsave', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid comment id' });
+    }
+    
+    await unsaveItem(req.user._id, req.params.id);
+    
+    res.json({ message: 'Comment unsaved', saved: false });
+  } catch (error) {
+    console.error('Unsave comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report a comment, citing one of the community's rules or a free-text reason
+router.post(
+  '/:id/report',
+  isAuthenticated,
+  requireScope('post'),
+  [
+    body('ruleId').optional().isMongoId().withMessage('Invalid rule'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body().custom(value => !!(value.ruleId || value.reason)).withMessage('A rule or a reason is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const comment = await Comment.findOne({ _id: req.params.id, isDeleted: false });
+      
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      const post = await Post.findById(comment.post);
+      const community = post && await getPostCommunity(post);
+      if (!community) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      if (!canView(community, req.user)) {
+        return res.status(403).json({ message: 'This comment is in a private community' });
+      }
+      
+      let rule = null;
+      if (req.body.ruleId) {
+        rule = community.rules.id(req.body.ruleId);
+        if (!rule) {
+          return res.status(400).json({ message: 'Rule not found' });
+        }
+      }
+      
+      const report = await fileReport({
+        targetType: 'Comment',
+        item: comment,
+        community,
+        reporter: req.user._id,
+        rule,
+        reason: req.body.reason
+      });
+      
+      if (!report) {
+        return res.status(409).json({ message: 'You have already reported this comment' });
+      }
+      
+      res.status(201).json({ message: 'Report submitted' });
+    } catch (error) {
+      console.error('Report comment error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Remove a comment (moderators only)
+router.post(
+  '/:id/remove',
+  isAuthenticated,
+  requireScope('moderate'),
+  [
+    body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { comment, community } = await findCommentToModerate(req, res);
+      if (!comment) return;
+      
+      const removal = { by: req.user._id, reason: req.body.reason, at: new Date() };
+      await removeContent('Comment', comment, removal);
+      await closeReports(comment._id, 'resolved', req.user._id);
+      await logCommentAction(req, 'remove_comment', comment, community._id, req.body.reason);
+      
+      res.json({ message: 'Comment removed', isRemoved: true, removal });
+    } catch (error) {
+      console.error('Remove comment error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Approve a comment, restoring it if it was removed (moderators only)
+router.post('/:id/approve', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const { comment, community } = await findCommentToModerate(req, res);
+    if (!comment) return;
+    
+    await approveContent('Comment', comment, req.user._id);
+    await closeReports(comment._id, 'dismissed', req.user._id);
+    await logCommentAction(req, 'approve_comment', comment, community._id);
+    
+    res.json({ message: 'Comment approved', isRemoved: false });
+  } catch (error) {
+    console.error('Approve comment error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get comments by user
-router.get('/user/:username', async (req, res) => {
+// Get comments by user (with cursor pagination)
+router.get('/user/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username });
     
@@ -237,73 +604,56 @@ router.get('/user/:username', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const comments = await Comment.find({ 
-      author: user._id,
-      isDeleted: false
-    })
-      .sort({ createdAt: -1 })
-      .populate('author', 'username avatar')
-      .populate('post', 'title _id')
-      .lean();
+    // Authors still see their removed comments, along with the reason
+    const isOwnProfile = !!req.user && req.user._id.equals(user._id);
     
-    res.json(comments);
+    const page = await findUserComments(user._id, req.query, { viewer: req.user, includeRemoved: isOwnProfile });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    page.items.forEach(comment => presentRemoved(comment, { userId: req.user?._id, isModerator: false }));
+    
+    res.json(page);
   } catch (error) {
     console.error('Get user comments error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function to recursively get comment replies
-async function getCommentReplies(commentId, userId) {
-  const replies = await Comment.find({ 
-    parentId: commentId,
-    isDeleted: false
-  })
-    .sort({ voteCount: -1, createdAt: -1 })
-    .populate('author', 'username avatar')
-    .lean();
+// Helper function to load a comment and its community for a moderator
+// action. Sends the error response and returns an empty object if the comment
+// doesn't exist or the user can't moderate its community.
+async function findCommentToModerate(req, res) {
+  const comment = await Comment.findOne({ _id: req.params.id, isDeleted: false });
   
-  for (let reply of replies) {
-    const nestedReplies = await getCommentReplies(reply._id, userId);
-    reply.replies = nestedReplies;
-    
-    // Add user's vote status if user is authenticated
-    if (userId) {
-      const userVote = reply.votes.find(vote => 
-        vote.user && vote.user.toString() === userId.toString()
-      );
-      reply.userVote = userVote ? userVote.value : 0;
-    }
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return {};
+  }
+  
+  const post = await Post.findById(comment.post);
+  const community = post && await getPostCommunity(post);
+  if (!community || !canModerate(community, req.user)) {
+    res.status(403).json({ message: 'Not authorized to moderate this comment' });
+    return {};
   }
   
-  return replies;
+  return { comment, community };
 }
 
-// Helper function to calculate user karma
-async function calculateUserKarma(userId) {
-  try {
-    // Sum up votes on user's posts
-    const postVotes = await Post.aggregate([
-      { $match: { author: userId, isDeleted: false } },
-      { $unwind: '$votes' },
-      { $group: { _id: null, total: { $sum: '$votes.value' } } }
-    ]);
-    
-    // Sum up votes on user's comments
-    const commentVotes = await Comment.aggregate([
-      { $match: { author: userId, isDeleted: false } },
-      { $unwind: '$votes' },
-      { $group: { _id: null, total: { $sum: '$votes.value' } } }
-    ]);
-    
-    const postKarma = postVotes.length > 0 ? postVotes[0].total : 0;
-    const commentKarma = commentVotes.length > 0 ? commentVotes[0].total : 0;
-    
-    return postKarma + commentKarma;
-  } catch (error) {
-    console.error('Calculate karma error:', error);
-    return 0;
-  }
+// Helper function to record a moderator action on a comment
+function logCommentAction(req, action, comment, communityId, reason) {
+  return logModAction({
+    action,
+    moderator: req.user._id,
+    community: communityId,
+    targetType: 'Comment',
+    target: comment._id,
+    targetUser: comment.author,
+    reason
+  });
 }
 
 module.exports = router;
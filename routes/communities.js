@@ -1,19 +1,51 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Community = require('../models/Community');
-const { isAuthenticated } = require('../middleware/auth');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const CommunityBan = require('../models/CommunityBan');
+const ModLog = require('../models/ModLog');
+const Conversation = require('../models/Conversation');
+const { isAuthenticated, optionalAuth, isAdmin, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { isModerator, isMember, canView, canJoin, getActiveBan, bannedResponse } = require('../utils/communityAccess');
+const { paginateQuery, getPageQuery, buildPage } = require('../utils/pagination');
+const { canModerate, removeContent, approveContent } = require('../utils/moderation');
+const { closeReports, summarizeReasons } = require('../utils/reports');
+const { logModAction, getModLogFilter, MOD_LOG_POPULATE } = require('../utils/modLog');
+const { addMessage, presentConversation } = require('../utils/messaging');
 
-// Get all communities
+// Bans keep a user from posting, commenting and voting in a community; mutes
+// keep them from messaging its moderators. Both are managed the same way.
+const RESTRICTIONS = {
+  bans: { type: 'ban', label: 'banned' },
+  mutes: { type: 'mute', label: 'muted' }
+};
+
+// Reported items are listed most recently reported first
+const QUEUE_SORT = { lastReportedAt: -1, _id: -1 };
+
+// Join requests are listed oldest first
+const JOIN_REQUEST_SORT = { createdAt: 1, _id: 1 };
+
+// Get all communities (with cursor pagination)
 router.get('/', async (req, res) => {
   try {
-    const communities = await Community.find()
-      .sort({ members: -1 })
-      .populate('creator', 'username')
-      .lean();
+    const page = await paginateQuery(Community, {}, { members: -1, _id: -1 }, req.query, {
+      select: '-approvedUsers -joinRequests',
+      populate: [{ path: 'creator', select: 'username' }]
+    });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
     
-    res.json(communities);
+    res.json(page);
   } catch (error) {
     console.error('Get communities error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -24,6 +56,8 @@ router.get('/', async (req, res) => {
 router.post(
   '/',
   isAuthenticated,
+  requireScope('post'),
+  rateLimit('community'),
   [
     body('name')
       .trim()
@@ -68,6 +102,10 @@ router.post(
       
       await newCommunity.save();
       
+      // The creator is the first member
+      await Community.addMember(newCommunity._id, req.user._id);
+      newCommunity.members = 1;
+      
       // Populate creator info before sending response
       await newCommunity.populate('creator', 'username');
       
@@ -80,7 +118,7 @@ router.post(
 );
 
 // Get a community by name
-router.get('/:name', async (req, res) => {
+router.get('/:name', optionalAuth, async (req, res) => {
   try {
     const community = await Community.findOne({ name: req.params.name.toLowerCase() })
       .populate('creator', 'username')
@@ -91,6 +129,25 @@ router.get('/:name', async (req, res) => {
       return res.status(404).json({ message: 'Community not found' });
     }
     
+    // Non-members only get the public face of a private community
+    if (!canView(community, req.user)) {
+      const { _id, name, description, icon, banner, type, members } = community;
+      const hasRequested = !!req.user && community.joinRequests.some(
+        request => request.user.toString() === req.user._id.toString()
+      );
+      
+      return res.json({ _id, name, description, icon, banner, type, members, isMember: false, hasRequested });
+    }
+    
+    // Approval lists are only exposed through the moderator endpoints
+    delete community.approvedUsers;
+    delete community.joinRequests;
+    
+    // If user is authenticated, add their membership status
+    if (req.user) {
+      community.isMember = isMember(community, req.user);
+    }
+    
     res.json(community);
   } catch (error) {
     console.error('Get community error:', error);
@@ -98,10 +155,110 @@ router.get('/:name', async (req, res) => {
   }
 });
 
+// Join a community
+router.post('/:name/join', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (isMember(community, req.user)) {
+      return res.status(400).json({ message: 'Already a member of this community' });
+    }
+    
+    // Private communities need a moderator's approval first
+    if (!canJoin(community, req.user)) {
+      await Community.updateOne(
+        { _id: community._id, 'joinRequests.user': { $ne: req.user._id } },
+        {
+          $push: {
+            joinRequests: {
+              user: req.user._id,
+              message: typeof req.body.message === 'string' ? req.body.message.slice(0, 500) : undefined
+            }
+          }
+        }
+      );
+      
+      return res.status(202).json({ message: 'Join request sent to the moderators', isMember: false, hasRequested: true });
+    }
+    
+    const joined = await Community.addMember(community._id, req.user._id);
+    if (!joined) {
+      return res.status(400).json({ message: 'Already a member of this community' });
+    }
+    
+    const { members } = await Community.findById(community._id).select('members').lean();
+    
+    res.json({ message: 'Joined community', isMember: true, members });
+  } catch (error) {
+    console.error('Join community error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave a community
+router.post('/:name/leave', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    const left = await Community.removeMember(community._id, req.user._id);
+    if (!left) {
+      return res.status(400).json({ message: 'Not a member of this community' });
+    }
+    
+    const { members } = await Community.findById(community._id).select('members').lean();
+    
+    res.json({ message: 'Left community', isMember: false, members });
+  } catch (error) {
+    console.error('Leave community error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get members of a community (with cursor pagination)
+router.get('/:name/members', optionalAuth, async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    const page = await paginateQuery(
+      User,
+      { joinedCommunities: community._id },
+      { username: 1, _id: 1 },
+      req.query,
+      { select: 'username avatar karma' }
+    );
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get community members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update a community
 router.put(
   '/:name',
   isAuthenticated,
+  requireScope('moderate'),
   [
     body('description')
       .optional()
@@ -124,7 +281,12 @@ router.put(
     body('icon')
       .optional()
       .isURL()
-      .withMessage('Icon must be a valid URL')
+      .withMessage('Icon must be a valid URL'),
+    body('reportThreshold')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 1000 })
+      .withMessage('Report threshold must be between 0 and 1000')
+      .toInt()
   ],
   async (req, res) => {
     // Check for validation errors
@@ -141,21 +303,32 @@ router.put(
       }
       
       // Check if user is a moderator
-      if (!community.moderators.includes(req.user._id)) {
+      if (!isModerator(community, req.user)) {
         return res.status(403).json({ message: 'Not authorized to update this community' });
       }
       
       // Update community fields
-      const { description, type, rules, banner, icon } = req.body;
+      const { description, type, rules, banner, icon, reportThreshold } = req.body;
       
       if (description !== undefined) community.description = description;
       if (type !== undefined) community.type = type;
       if (rules !== undefined) community.rules = rules;
       if (banner !== undefined) community.banner = banner;
       if (icon !== undefined) community.icon = icon;
+      // null goes back to the site default
+      if (reportThreshold !== undefined) community.reportThreshold = reportThreshold ?? undefined;
       
+      const changed = community.modifiedPaths();
       await community.save();
       
+      if (changed.length > 0) {
+        await logCommunityAction(req, community, 'update_community', {
+          targetType: 'Community',
+          target: community._id,
+          details: { fields: changed }
+        });
+      }
+      
       // Populate moderator info before sending response
       await community.populate('moderators', 'username');
       
@@ -171,6 +344,7 @@ router.put(
 router.post(
   '/:name/moderators',
   isAuthenticated,
+  requireScope('moderate'),
   [
     body('username').trim().not().isEmpty().withMessage('Username is required')
   ],
@@ -189,7 +363,7 @@ router.post(
       }
       
       // Check if user is the creator
-      if (community.creator.toString() !== req.user._id.toString()) {
+      if (community.creator?.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: 'Only the community creator can add moderators' });
       }
       
@@ -208,6 +382,12 @@ router.post(
       community.moderators.push(userToAdd._id);
       await community.save();
       
+      await logCommunityAction(req, community, 'add_moderator', {
+        targetType: 'User',
+        target: userToAdd._id,
+        targetUser: userToAdd._id
+      });
+      
       // Populate moderator info before sending response
       await community.populate('moderators', 'username');
       
@@ -223,6 +403,7 @@ router.post(
 router.delete(
   '/:name/moderators/:userId',
   isAuthenticated,
+  requireScope('moderate'),
   async (req, res) => {
     try {
       const community = await Community.findOne({ name: req.params.name.toLowerCase() });
@@ -232,22 +413,35 @@ router.delete(
       }
       
       // Check if user is the creator
-      if (community.creator.toString() !== req.user._id.toString()) {
+      if (community.creator?.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: 'Only the community creator can remove moderators' });
       }
       
+      if (!mongoose.isValidObjectId(req.params.userId)) {
+        return res.status(400).json({ message: 'Invalid user id' });
+      }
+      
       // Check if trying to remove the creator
-      if (community.creator.toString() === req.params.userId) {
+      if (community.creator?.toString() === req.params.userId) {
         return res.status(400).json({ message: 'Cannot remove the community creator' });
       }
       
       // Remove user from moderators
+      const wasModerator = community.moderators.some(mod => mod.toString() === req.params.userId);
       community.moderators = community.moderators.filter(
         mod => mod.toString() !== req.params.userId
       );
       
       await community.save();
       
+      if (wasModerator) {
+        await logCommunityAction(req, community, 'remove_moderator', {
+          targetType: 'User',
+          target: req.params.userId,
+          targetUser: req.params.userId
+        });
+      }
+      
       // Populate moderator info before sending response
       await community.populate('moderators', 'username');
       
@@ -259,27 +453,728 @@ router.delete(
   }
 );
 
-// Search communities
-router.get('/search', async (req, res) => {
+// Get pending join requests, oldest first (moderators only, with cursor
+// pagination)
+router.get('/:name/requests', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view join requests' });
+    }
+    
+    const page = getPageQuery(req.query, JOIN_REQUEST_SORT);
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    // The requests are embedded in the community, so page through them
+    // unwound
+    const requests = await Community.aggregate([
+      { $match: { _id: community._id } },
+      { $unwind: '$joinRequests' },
+      { $replaceRoot: { newRoot: '$joinRequests' } },
+      ...(page.filter ? [{ $match: page.filter }] : []),
+      { $sort: page.sort },
+      { $limit: page.limit + 1 }
+    ]);
+    await User.populate(requests, { path: 'user', select: 'username avatar karma' });
+    
+    res.json(buildPage(requests, JOIN_REQUEST_SORT, page));
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a join request
+router.post('/:name/requests/:userId/approve', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to approve join requests' });
+    }
+    
+    const request = community.joinRequests.find(r => r.user.toString() === req.params.userId);
+    if (!request) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+    
+    await Community.updateOne(
+      { _id: community._id },
+      {
+        $addToSet: { approvedUsers: request.user },
+        $pull: { joinRequests: { user: request.user } }
+      }
+    );
+    
+    // The user asked to join, so approving the request makes them a member
+    await Community.addMember(community._id, request.user);
+    
+    await logCommunityAction(req, community, 'approve_join_request', {
+      targetType: 'User',
+      target: request.user,
+      targetUser: request.user
+    });
+    
+    res.json({ message: 'Join request approved' });
+  } catch (error) {
+    console.error('Approve join request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deny a join request
+router.delete('/:name/requests/:userId', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to deny join requests' });
+    }
+    
+    const result = mongoose.isValidObjectId(req.params.userId) && await Community.updateOne(
+      { _id: community._id },
+      { $pull: { joinRequests: { user: req.params.userId } } }
+    );
+    
+    if (!result || result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+    
+    await logCommunityAction(req, community, 'reject_join_request', {
+      targetType: 'User',
+      target: req.params.userId,
+      targetUser: req.params.userId
+    });
+    
+    res.json({ message: 'Join request denied' });
+  } catch (error) {
+    console.error('Deny join request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get approved users (moderators only, with cursor pagination)
+router.get('/:name/approved', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view approved users' });
+    }
+    
+    const page = await paginateQuery(
+      User,
+      { _id: { $in: community.approvedUsers } },
+      { username: 1, _id: 1 },
+      req.query,
+      { select: 'username avatar' }
+    );
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get approved users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a user as a submitter, or invite them to a private community
+router.post(
+  '/:name/approved',
+  isAuthenticated,
+  requireScope('moderate'),
+  [
+    body('username').trim().not().isEmpty().withMessage('Username is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!isModerator(community, req.user)) {
+        return res.status(403).json({ message: 'Not authorized to approve users' });
+      }
+      
+      const userToApprove = await User.findOne({ username: req.body.username });
+      if (!userToApprove) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const hadRequested = community.joinRequests.some(
+        r => r.user.toString() === userToApprove._id.toString()
+      );
+      
+      await Community.updateOne(
+        { _id: community._id },
+        {
+          $addToSet: { approvedUsers: userToApprove._id },
+          $pull: { joinRequests: { user: userToApprove._id } }
+        }
+      );
+      
+      // A pending request counts as consent to join; otherwise the approval
+      // acts as an invite the user can accept by joining
+      if (hadRequested) {
+        await Community.addMember(community._id, userToApprove._id);
+      }
+      
+      await logCommunityAction(req, community, 'approve_user', {
+        targetType: 'User',
+        target: userToApprove._id,
+        targetUser: userToApprove._id
+      });
+      
+      res.json({ message: 'User approved', joined: hadRequested });
+    } catch (error) {
+      console.error('Approve user error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Revoke a user's approval
+router.delete('/:name/approved/:userId', isAuthenticated, requireScope('moderate'), async (req, res) => {
   try {
-    const { q } = req.query;
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isModerator(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to revoke approvals' });
+    }
+    
+    const result = mongoose.isValidObjectId(req.params.userId) && await Community.updateOne(
+      { _id: community._id },
+      { $pull: { approvedUsers: req.params.userId } }
+    );
     
-    if (!q) {
-      return res.status(400).json({ message: 'Search query is required' });
+    if (!result || result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'User is not approved' });
     }
     
-    const communities = await Community.find({
-      name: { $regex: q, $options: 'i' }
-    })
-      .sort({ members: -1 })
-      .limit(10)
+    // Losing approval in a private community means losing access to it
+    if (community.type === 'private' && !community.moderators.some(id => id.toString() === req.params.userId)) {
+      await Community.removeMember(community._id, req.params.userId);
+    }
+    
+    await logCommunityAction(req, community, 'unapprove_user', {
+      targetType: 'User',
+      target: req.params.userId,
+      targetUser: req.params.userId
+    });
+    
+    res.json({ message: 'Approval revoked' });
+  } catch (error) {
+    console.error('Revoke approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+Object.entries(RESTRICTIONS).forEach(([path, { type, label }]) => {
+  // List the users currently banned or muted (moderators only)
+  router.get(`/:name/${path}`, isAuthenticated, requireScope('moderate'), async (req, res) => {
+    try {
+      const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!canModerate(community, req.user)) {
+        return res.status(403).json({ message: `Not authorized to view ${label} users` });
+      }
+      
+      const page = await paginateQuery(
+        CommunityBan,
+        { community: community._id, type, ...CommunityBan.activeFilter() },
+        { createdAt: -1, _id: -1 },
+        req.query,
+        {
+          populate: [
+            { path: 'user', select: 'username avatar' },
+            { path: 'bannedBy', select: 'username' }
+          ]
+        }
+      );
+      
+      if (!page) {
+        return res.status(400).json({ message: 'Invalid pagination cursor' });
+      }
+      
+      res.json(page);
+    } catch (error) {
+      console.error(`Get ${path} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+  
+  // Ban or mute a user, permanently or until expiresAt. Banning a user who is
+  // already banned replaces the existing ban. (moderators only)
+  router.post(
+    `/:name/${path}`,
+    isAuthenticated,
+    requireScope('moderate'),
+    [
+      body('username').trim().not().isEmpty().withMessage('Username is required'),
+      body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters'),
+      body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters'),
+      body('expiresAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Expiry must be a valid date')
+        .bail()
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Expiry must be in the future')
+    ],
+    async (req, res) => {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      
+      try {
+        const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+        
+        if (!community) {
+          return res.status(404).json({ message: 'Community not found' });
+        }
+        
+        if (!canModerate(community, req.user)) {
+          return res.status(403).json({ message: `Not authorized to manage ${label} users` });
+        }
+        
+        const target = await User.findOne({ username: req.body.username });
+        if (!target) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+        
+        if (isModerator(community, target)) {
+          return res.status(400).json({ message: `Moderators cannot be ${label}` });
+        }
+        
+        const { reason, note, expiresAt } = req.body;
+        const update = { $set: { reason, note, bannedBy: req.user._id } };
+        
+        if (expiresAt) {
+          update.$set.expiresAt = new Date(expiresAt);
+        } else {
+          update.$unset = { expiresAt: 1 };
+        }
+        
+        const ban = await CommunityBan.findOneAndUpdate(
+          { community: community._id, user: target._id, type },
+          update,
+          { upsert: true, new: true, runValidators: true }
+        ).populate('user', 'username avatar');
+        
+        await logCommunityAction(req, community, `${type}_user`, {
+          targetType: 'User',
+          target: target._id,
+          targetUser: target._id,
+          reason,
+          details: { expiresAt: ban.expiresAt || null }
+        });
+        
+        res.status(201).json(ban);
+      } catch (error) {
+        console.error(`Create ${type} error:`, error);
+        res.status(500).json({ message: 'Server error' });
+      }
+    }
+  );
+  
+  // Lift a ban or mute (moderators only)
+  router.delete(`/:name/${path}/:userId`, isAuthenticated, requireScope('moderate'), async (req, res) => {
+    try {
+      const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!canModerate(community, req.user)) {
+        return res.status(403).json({ message: `Not authorized to manage ${label} users` });
+      }
+      
+      const result = mongoose.isValidObjectId(req.params.userId) && await CommunityBan.deleteOne({
+        community: community._id,
+        user: req.params.userId,
+        type,
+        ...CommunityBan.activeFilter()
+      });
+      
+      if (!result || result.deletedCount === 0) {
+        return res.status(404).json({ message: `User is not ${label}` });
+      }
+      
+      await logCommunityAction(req, community, `un${type}_user`, {
+        targetType: 'User',
+        target: req.params.userId,
+        targetUser: req.params.userId
+      });
+      
+      res.json({ message: type === 'ban' ? 'Ban lifted' : 'Mute lifted' });
+    } catch (error) {
+      console.error(`Lift ${type} error:`, error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+// Get the moderation queue: reported posts and comments with their reports
+// grouped per item (moderators only)
+// Query: status ('open', 'resolved', 'dismissed'), type ('posts', 'comments'),
+// limit, after, before
+router.get('/:name/modqueue', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canModerate(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view the moderation queue' });
+    }
+    
+    const page = getPageQuery(req.query, QUEUE_SORT);
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    const match = {
+      community: community._id,
+      status: ['resolved', 'dismissed'].includes(req.query.status) ? req.query.status : 'open'
+    };
+    if (req.query.type === 'posts') match.targetType = 'Post';
+    if (req.query.type === 'comments') match.targetType = 'Comment';
+    
+    const groups = await Report.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$target',
+          targetType: { $first: '$targetType' },
+          reportCount: { $sum: 1 },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' },
+          reports: { $push: { rule: '$rule.title', reason: '$reason' } }
+        }
+      },
+      ...(page.filter ? [{ $match: page.filter }] : []),
+      { $sort: page.sort },
+      { $limit: page.limit + 1 }
+    ]);
+    
+    const response = buildPage(groups, QUEUE_SORT, page);
+    
+    // Load the reported posts and comments
+    const targetIds = targetType => response.items
+      .filter(group => group.targetType === targetType)
+      .map(group => group._id);
+    
+    const posts = await Post.find({ _id: { $in: targetIds('Post') } })
+      .populate('author', 'username avatar')
       .lean();
+    const comments = await Comment.find({ _id: { $in: targetIds('Comment') } })
+      .populate('author', 'username avatar')
+      .populate('post', 'title')
+      .lean();
+    
+    const targets = new Map([...posts, ...comments].map(item => [item._id.toString(), item]));
+    
+    response.items = response.items.map(({ _id, targetType, reports, ...group }) => ({
+      targetType,
+      target: targets.get(_id.toString()) || null,
+      ...group,
+      reasons: summarizeReasons(reports)
+    }));
     
-    res.json(communities);
+    res.json(response);
   } catch (error) {
-    console.error('Search communities error:', error);
+    console.error('Get moderation queue error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Resolve the open reports on an item, optionally removing it (moderators only)
+router.post(
+  '/:name/modqueue/:targetId/resolve',
+  isAuthenticated,
+  requireScope('moderate'),
+  [
+    body('remove').optional().isBoolean().withMessage('Remove must be a boolean').toBoolean(),
+    body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const report = await findOpenReport(req, res);
+      if (!report) return;
+      
+      if (req.body.remove) {
+        await removeContent(report.targetType, { _id: report.target }, {
+          by: req.user._id,
+          reason: req.body.reason,
+          at: new Date()
+        });
+      }
+      
+      const result = await closeReports(report.target, 'resolved', req.user._id);
+      
+      await logCommunityAction(req, report.community, 'resolve_reports', {
+        targetType: report.targetType,
+        target: report.target,
+        reason: req.body.reason,
+        details: { reports: result.modifiedCount, removed: !!req.body.remove }
+      });
+      
+      res.json({ message: 'Reports resolved', closed: result.modifiedCount, isRemoved: !!req.body.remove });
+    } catch (error) {
+      console.error('Resolve reports error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Dismiss the open reports on an item and approve it, restoring it if it was
+// hidden by reports (moderators only)
+router.post('/:name/modqueue/:targetId/dismiss', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const report = await findOpenReport(req, res);
+    if (!report) return;
+    
+    // Undo the report threshold hiding the item, but not a moderator's removal
+    await approveContent(report.targetType, { _id: report.target }, req.user._id, { automaticOnly: true });
+    const result = await closeReports(report.target, 'dismissed', req.user._id);
+    
+    await logCommunityAction(req, report.community, 'dismiss_reports', {
+      targetType: report.targetType,
+      target: report.target,
+      details: { reports: result.modifiedCount }
+    });
+    
+    res.json({ message: 'Reports dismissed', closed: result.modifiedCount });
+  } catch (error) {
+    console.error('Dismiss reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the moderation log (moderators only)
+// Query: action, moderator (username), limit, after, before
+router.get(
+  '/:name/modlog',
+  isAuthenticated,
+  requireScope('moderate'),
+  [
+    query('action').optional().isIn(ModLog.ACTIONS).withMessage('Invalid action')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      if (!canModerate(community, req.user)) {
+        return res.status(403).json({ message: 'Not authorized to view the moderation log' });
+      }
+      
+      const filter = await getModLogFilter(req.query, { community: community._id });
+      const page = await paginateQuery(ModLog, filter, { createdAt: -1, _id: -1 }, req.query, {
+        populate: MOD_LOG_POPULATE
+      });
+      
+      if (!page) {
+        return res.status(400).json({ message: 'Invalid pagination cursor' });
+      }
+      
+      res.json(page);
+    } catch (error) {
+      console.error('Get moderation log error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Message the moderators of a community. The conversation lands in the
+// community's modmail, where any of its moderators can read and answer it.
+router.post(
+  '/:name/modmail',
+  isAuthenticated,
+  requireScope('post'),
+  rateLimit('message'),
+  [
+    body('subject').trim().isLength({ min: 1, max: 100 }).withMessage('Subject must be between 1 and 100 characters'),
+    body('body').trim().isLength({ min: 1, max: 10000 }).withMessage('Message must be between 1 and 10000 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+      
+      if (!community) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      const mute = await getActiveBan(community, req.user, 'mute');
+      if (mute) {
+        return res.status(403).json(bannedResponse(mute));
+      }
+      
+      const conversation = await Conversation.create({
+        type: 'modmail',
+        subject: req.body.subject,
+        participants: [req.user._id],
+        community: community._id
+      });
+      
+      const message = await addMessage({ conversation, community, sender: req.user, body: req.body.body });
+      
+      res.status(201).json({ conversation: conversation._id, message });
+    } catch (error) {
+      console.error('Send modmail error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get the community's modmail, most recently active first (moderators only,
+// with cursor pagination). Replies go through /api/messages/:id.
+// Query: unread ('true' for unread only), limit, after, before
+router.get('/:name/modmail', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!canModerate(community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view modmail' });
+    }
+    
+    const filter = { community: community._id, type: 'modmail' };
+    if (req.query.unread === 'true') filter.unreadBy = req.user._id;
+    
+    const page = await paginateQuery(Conversation, filter, { lastMessageAt: -1, _id: -1 }, req.query, {
+      populate: [{ path: 'participants', select: 'username avatar' }]
+    });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    page.items = page.items.map(conversation => presentConversation(conversation, req.user._id));
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get modmail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin only: Recompute member counts from the users' joined communities
+router.post('/admin/reconcile-member-counts', isAuthenticated, isAdmin, requireScope('moderate'), async (req, res) => {
+  try {
+    const corrected = await Community.reconcileMemberCounts();
+    res.json({ message: 'Member counts reconciled', corrected });
+  } catch (error) {
+    console.error('Reconcile member counts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to record a moderator action in a community
+function logCommunityAction(req, community, action, fields) {
+  return logModAction({
+    action,
+    moderator: req.user._id,
+    community: community._id || community,
+    ...fields
+  });
+}
+
+// Helper function to find an open report on the item in the moderation queue.
+// Sends the error response and returns null if the community doesn't exist,
+// the user can't moderate it or there is nothing to act on.
+async function findOpenReport(req, res) {
+  const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+  
+  if (!community) {
+    res.status(404).json({ message: 'Community not found' });
+    return null;
+  }
+  
+  if (!canModerate(community, req.user)) {
+    res.status(403).json({ message: 'Not authorized to moderate this community' });
+    return null;
+  }
+  
+  const report = mongoose.isValidObjectId(req.params.targetId) && await Report.findOne({
+    community: community._id,
+    target: req.params.targetId,
+    status: 'open'
+  });
+  
+  if (!report) {
+    res.status(404).json({ message: 'No open reports for this item' });
+    return null;
+  }
+  
+  return report;
+}
+
 module.exports = router;
@@ -0,0 +1,129 @@
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { canView, getPostCommunity } = require('../utils/communityAccess');
+const { subscribe, channels } = require('../utils/eventBus');
+const { ACCESS_TOKEN_TTL } = require('../utils/sessions');
+
+// Comment line sent regularly so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Longest a stream stays open, for anonymous clients and tokens that
+// expire later
+const MAX_STREAM_DURATION = ACCESS_TOKEN_TTL;
+
+// Open streams per client IP and per user. Counted per server process, like
+// the in-memory rate limit store.
+const MAX_STREAMS_PER_IP = 10;
+const MAX_STREAMS_PER_USER = 5;
+const openStreams = new Map();
+
+// Take a stream slot under each [key, max] limit, or none if any of them is
+// full. Returns a function that gives the slots back, or null.
+const reserveStreams = limits => {
+  if (limits.some(([key, max]) => (openStreams.get(key) || 0) >= max)) return null;
+  
+  limits.forEach(([key]) => openStreams.set(key, (openStreams.get(key) || 0) + 1));
+  
+  return () => limits.forEach(([key]) => {
+    const count = openStreams.get(key) - 1;
+    if (count > 0) {
+      openStreams.set(key, count);
+    } else {
+      openStreams.delete(key);
+    }
+  });
+};
+
+// Stream live updates as Server-Sent Events. Signed-in users get their
+// notifications and new posts in the communities they joined; passing a
+// post id adds its new comments and vote changes.
+// Streams end when the access token expires, so the client reconnects (and
+// refreshes its token if needed), and as soon as the session or token is
+// revoked.
+// Query: post
+router.get('/', optionalAuth, rateLimit('events'), async (req, res) => {
+  try {
+    const subscribed = [];
+    
+    if (req.user) {
+      subscribed.push(channels.user(req.user._id));
+      req.user.joinedCommunities.forEach(id => subscribed.push(channels.community(id)));
+    }
+    
+    if (req.query.post) {
+      const post = mongoose.isValidObjectId(req.query.post) && await Post.findById(req.query.post);
+      const community = post && !post.isDeleted && await getPostCommunity(post);
+      if (!community) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      if (!canView(community, req.user)) {
+        return res.status(403).json({ message: 'This post is in a private community' });
+      }
+      
+      subscribed.push(channels.post(post._id));
+    }
+    
+    if (subscribed.length === 0) {
+      return res.status(401).json({ message: 'Log in or pass a post to follow.' });
+    }
+    
+    const limits = [[`ip:${req.ip}`, MAX_STREAMS_PER_IP]];
+    if (req.user) limits.push([`user:${req.user._id}`, MAX_STREAMS_PER_USER]);
+    
+    const release = reserveStreams(limits);
+    if (!release) {
+      return res.status(429).json({ message: 'Too many open event streams' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = ({ type, data }) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    const unsubscribers = subscribed.map(channel => subscribe(channel, send));
+    
+    // Signing out or revoking the token ends the stream
+    const credential = req.sessionId || req.accessTokenId;
+    if (credential) {
+      unsubscribers.push(subscribe(channels.session(credential), event => {
+        send(event);
+        res.end();
+      }));
+    }
+    
+    send({ type: 'ready', data: { channels: subscribed.length } });
+    
+    const endAt = Math.min(
+      req.tokenExpiresAt ? req.tokenExpiresAt.getTime() : Infinity,
+      Date.now() + MAX_STREAM_DURATION
+    );
+    
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    const expiry = setTimeout(() => res.end(), Math.max(0, endAt - Date.now()));
+    
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      release();
+    });
+  } catch (error) {
+    console.error('Event stream error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
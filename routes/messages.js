@@ -0,0 +1,223 @@
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Community = require('../models/Community');
+const User = require('../models/User');
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getActiveBan, bannedResponse } = require('../utils/communityAccess');
+const { canModerate } = require('../utils/moderation');
+const { paginateQuery } = require('../utils/pagination');
+const { canAccessConversation, addMessage, markRead, presentConversation } = require('../utils/messaging');
+
+const CONVERSATION_POPULATE = [
+  { path: 'participants', select: 'username avatar' },
+  { path: 'community', select: 'name icon' }
+];
+
+// Get the current user's conversations, most recently active first (with
+// cursor pagination). Modmail the user sent to a community is included;
+// the moderators' side is listed under the community.
+// Query: unread ('true' for unread only), limit, after, before
+router.get('/', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const filter = { participants: req.user._id };
+    if (req.query.unread === 'true') filter.unreadBy = req.user._id;
+    
+    const page = await paginateQuery(Conversation, filter, { lastMessageAt: -1, _id: -1 }, req.query, {
+      populate: CONVERSATION_POPULATE
+    });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    page.items = page.items.map(conversation => presentConversation(conversation, req.user._id));
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the number of conversations with unread messages
+router.get('/unread-count', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const count = await Conversation.countDocuments({ participants: req.user._id, unreadBy: req.user._id });
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread message count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a conversation with another user
+router.post(
+  '/',
+  isAuthenticated,
+  requireScope('post'),
+  rateLimit('message'),
+  [
+    body('to').trim().notEmpty().withMessage('Recipient is required'),
+    body('subject').trim().isLength({ min: 1, max: 100 }).withMessage('Subject must be between 1 and 100 characters'),
+    body('body').trim().isLength({ min: 1, max: 10000 }).withMessage('Message must be between 1 and 10000 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { to, subject } = req.body;
+      
+      const recipient = await User.findOne({ username: to });
+      
+      if (!recipient) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (recipient._id.equals(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot message yourself' });
+      }
+      
+      const conversation = await Conversation.create({
+        type: 'direct',
+        subject,
+        participants: [req.user._id, recipient._id]
+      });
+      
+      const message = await addMessage({ conversation, sender: req.user, body: req.body.body });
+      
+      res.status(201).json({ conversation: conversation._id, message });
+    } catch (error) {
+      console.error('Create conversation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get a conversation and its messages, oldest first (with cursor
+// pagination). Viewing it marks it as read.
+router.get('/:id', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const { conversation } = await findConversation(req, res);
+    if (!conversation) return;
+    
+    const page = await paginateQuery(Message, { conversation: conversation._id }, { createdAt: 1, _id: 1 }, req.query, {
+      populate: [{ path: 'sender', select: 'username avatar' }]
+    });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    await markRead(conversation._id, req.user._id);
+    await conversation.populate(CONVERSATION_POPULATE);
+    
+    res.json({
+      conversation: presentConversation(conversation.toObject(), req.user._id),
+      ...page
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reply to a conversation
+router.post(
+  '/:id/messages',
+  isAuthenticated,
+  requireScope('post'),
+  rateLimit('message'),
+  [
+    body('body').trim().isLength({ min: 1, max: 10000 }).withMessage('Message must be between 1 and 10000 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const { conversation, community } = await findConversation(req, res);
+      if (!conversation) return;
+      
+      if (conversation.type === 'modmail' && !community) {
+        return res.status(403).json({ message: 'The community no longer exists' });
+      }
+      
+      // Moderators answer modmail on behalf of the community; anyone else
+      // writing to it is the user on the other side, and mutes apply
+      const asModerator = conversation.type === 'modmail' && canModerate(community, req.user);
+      
+      if (conversation.type === 'modmail' && !asModerator) {
+        const mute = await getActiveBan(community, req.user, 'mute');
+        if (mute) {
+          return res.status(403).json(bannedResponse(mute));
+        }
+      }
+      
+      if (conversation.type === 'direct' && conversation.participants.length < 2) {
+        return res.status(403).json({ message: 'The other user has deleted their account' });
+      }
+      
+      const message = await addMessage({
+        conversation,
+        community,
+        sender: req.user,
+        body: req.body.body,
+        asModerator
+      });
+      
+      res.status(201).json(message);
+    } catch (error) {
+      console.error('Reply to conversation error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Mark a conversation as read
+router.post('/:id/read', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const { conversation } = await findConversation(req, res);
+    if (!conversation) return;
+    
+    await markRead(conversation._id, req.user._id);
+    
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to load a conversation the user can read, with its
+// community for modmail. Sends the error response and returns an empty
+// object otherwise.
+async function findConversation(req, res) {
+  const conversation = mongoose.isValidObjectId(req.params.id) &&
+    await Conversation.findById(req.params.id);
+  
+  const community = conversation && conversation.community &&
+    await Community.findById(conversation.community);
+  
+  // Conversations the user isn't part of are reported as missing
+  if (!conversation || !canAccessConversation(conversation, community, req.user)) {
+    res.status(404).json({ message: 'Conversation not found' });
+    return {};
+  }
+  
+  return { conversation, community: community || undefined };
+}
+
+module.exports = router;
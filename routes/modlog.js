@@ -0,0 +1,56 @@
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const ModLog = require('../models/ModLog');
+const Community = require('../models/Community');
+const { isAuthenticated, isAdmin, requireScope } = require('../middleware/auth');
+const { paginateQuery } = require('../utils/pagination');
+const { getModLogFilter, MOD_LOG_POPULATE } = require('../utils/modLog');
+
+// Admin only: Get the site-wide moderation log
+// Query: action, moderator (username), community (name), limit, after, before
+router.get(
+  '/',
+  isAuthenticated,
+  isAdmin,
+  requireScope('moderate'),
+  [
+    query('action').optional().isIn(ModLog.ACTIONS).withMessage('Invalid action'),
+    query('community').optional().trim()
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const filter = await getModLogFilter(req.query);
+      
+      if (req.query.community) {
+        const community = await Community.findOne({ name: req.query.community.toLowerCase() }).select('_id').lean();
+        if (!community) {
+          return res.status(404).json({ message: 'Community not found' });
+        }
+        filter.community = community._id;
+      }
+      
+      const page = await paginateQuery(ModLog, filter, { createdAt: -1, _id: -1 }, req.query, {
+        populate: MOD_LOG_POPULATE
+      });
+      
+      if (!page) {
+        return res.status(400).json({ message: 'Invalid pagination cursor' });
+      }
+      
+      res.json(page);
+    } catch (error) {
+      console.error('Get moderation log error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { isAuthenticated, requireScope, requireSession } = require('../middleware/auth');
+const { paginateQuery } = require('../utils/pagination');
+const { getHiddenCommunities } = require('../utils/communityAccess');
+const { presentRemoved } = require('../utils/moderation');
+
+// Get the current user's notifications, newest first (with cursor pagination)
+// Query: unread ('true' for unread only), limit, after, before
+router.get('/', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.read = false;
+    
+    const page = await paginateQuery(Notification, filter, { createdAt: -1, _id: -1 }, req.query, {
+      populate: [
+        { path: 'actor', select: 'username avatar' },
+        { path: 'post', select: 'title author community isDeleted isRemoved' },
+        { path: 'comment', select: 'content author isRemoved isDeleted removal' },
+        { path: 'community', select: 'name' }
+      ]
+    });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    const hiddenCommunities = (await getHiddenCommunities(req.user)).map(id => id.toString());
+    page.items.forEach(notification => presentTargets(notification, req.user._id, hiddenCommunities));
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the number of unread notifications
+router.get('/unread-count', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, read: false });
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the notification types the user receives
+router.get('/preferences', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const optOuts = req.user.notificationOptOuts || [];
+    
+    res.json(Object.fromEntries(
+      Notification.TYPES.map(type => [type, !optOuts.includes(type)])
+    ));
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn notification types on or off, e.g. { "vote_milestone": false }
+router.put(
+  '/preferences',
+  isAuthenticated,
+  requireSession,
+  [
+    body().custom(value => Object.keys(value).every(type => Notification.TYPES.includes(type)))
+      .withMessage('Unknown notification type'),
+    body('*').isBoolean({ strict: true }).withMessage('Preferences must be true or false')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const enabled = Object.keys(req.body).filter(type => req.body[type]);
+      const disabled = Object.keys(req.body).filter(type => !req.body[type]);
+      
+      // Two steps, since one update can't both add to and pull from the list
+      await User.updateOne({ _id: req.user._id }, { $pull: { notificationOptOuts: { $in: enabled } } });
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $addToSet: { notificationOptOuts: { $each: disabled } } },
+        { new: true }
+      ).select('notificationOptOuts');
+      
+      res.json(Object.fromEntries(
+        Notification.TYPES.map(type => [type, !user.notificationOptOuts.includes(type)])
+      ));
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Mark all notifications as read
+router.post('/read-all', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a notification as read
+router.post('/:id/read', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id) && await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { $set: { read: true, readAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to strip what the recipient can no longer see from a
+// notification's post and comment: everything in a private community they
+// can't view, and the title or text of removed or deleted items
+function presentTargets(notification, userId, hiddenCommunities) {
+  const { post, comment } = notification;
+  
+  const communityId = (post && post.community) || (notification.community && notification.community._id);
+  if (communityId && hiddenCommunities.includes(communityId.toString())) {
+    notification.post = null;
+    notification.comment = null;
+    return notification;
+  }
+  
+  if (post) {
+    // Like a removed comment's text, a removed post's title is only shown to
+    // its author
+    const isAuthor = !!post.author && post.author.toString() === userId.toString();
+    const hideTitle = post.isDeleted || (post.isRemoved && !isAuthor);
+    notification.post = { _id: post._id, title: hideTitle ? null : post.title };
+  }
+  
+  if (comment) {
+    presentRemoved(comment, { userId, isModerator: false });
+    notification.comment = { _id: comment._id, content: comment.isDeleted ? null : comment.content };
+  }
+  
+  return notification;
+}
+
+module.exports = router;
@@ -1,69 +1,87 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Post = require('../models/Post');
-const Comment = require('../models/Comment');
 const User = require('../models/User');
-const { isAuthenticated, optionalAuth } = require('../middleware/auth');
+const Community = require('../models/Community');
+const { isAuthenticated, optionalAuth, isAdmin, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { canView, canSubmit, getActiveBan, bannedResponse, getPostCommunity, getHiddenCommunities } = require('../utils/communityAccess');
+const { findPosts } = require('../utils/postListing');
+const { castVote, attachUserVotes } = require('../utils/voting');
+const { canModerate, presentRemoved, removeContent, approveContent, MAX_PINNED } = require('../utils/moderation');
+const { fileReport, closeReports } = require('../utils/reports');
+const { logModAction } = require('../utils/modLog');
+const { notifyMentions } = require('../utils/notifications');
+const { publish, channels } = require('../utils/eventBus');
+const { applyEdit, getEditBlock, canViewRevisions, getRevisionPage } = require('../utils/revisions');
+const { saveItem, unsaveItem, hidePost, unhidePost, excludeHidden, attachSavedState } = require('../utils/savedItems');
 
-// Get all posts (with pagination)
+// Get all posts (with cursor pagination)
+// Query: sort ('hot', 'new', 'top', 'rising', 'controversial'), t (time window
+// for 'top' and 'controversial'), limit, after, before
 router.get('/', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const sortBy = req.query.sort || 'new'; // 'new', 'top', 'hot'
-    const skip = (page - 1) * limit;
-    
-    let sortOption = {};
-    
-    switch (sortBy) {
-      case 'top':
-        sortOption = { voteCount: -1 };
-        break;
-      case 'hot':
-        // A simple "hot" algorithm that combines recency and votes
-        sortOption = { _id: -1 }; // Using _id as a proxy for time (MongoDB ObjectIds contain a timestamp)
-        break;
-      case 'new':
-      default:
-        sortOption = { createdAt: -1 };
-    }
-    
-    const posts = await Post.find({ isDeleted: false })
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit)
-      .populate('author', 'username avatar')
-      .lean();
-    
-    // If user is authenticated, add their vote status to each post
-    if (req.user) {
-      for (let post of posts) {
-        const userVote = post.votes.find(vote => 
-          vote.user && vote.user.toString() === req.user._id.toString()
-        );
-        post.userVote = userVote ? userVote.value : 0;
-      }
+    // Leave out posts from private communities the user can't see, and
+    // posts they have hidden
+    const hiddenCommunities = await getHiddenCommunities(req.user);
+    const filter = { isDeleted: false, isRemoved: { $ne: true }, community: { $nin: hiddenCommunities } };
+    
+    const page = await findPosts(filter, req.query, { hiddenFor: req.user });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
     }
     
-    const total = await Post.countDocuments({ isDeleted: false });
+    // If user is authenticated, add their vote and saved status to each post
+    await attachUserVotes(page.items, req.user?._id);
+    await attachSavedState(page.items, req.user?._id, { posts: true });
     
-    res.json({
-      posts,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page
-    });
+    res.json(page);
   } catch (error) {
     console.error('Get posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get the home feed of the current user (with cursor pagination)
+router.get('/feed', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const joinedCommunities = req.user.joinedCommunities;
+    const isFallback = joinedCommunities.length === 0;
+    
+    // Users who haven't joined anything get the popular posts instead
+    let filter;
+    if (isFallback) {
+      const hiddenCommunities = await getHiddenCommunities(req.user);
+      filter = { isDeleted: false, isRemoved: { $ne: true }, community: { $nin: hiddenCommunities } };
+    } else {
+      filter = { isDeleted: false, isRemoved: { $ne: true }, community: { $in: joinedCommunities } };
+    }
+    
+    const page = await findPosts(filter, req.query, { defaultSort: 'hot', hiddenFor: req.user });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    // Add the user's vote and saved status to each post
+    await attachUserVotes(page.items, req.user?._id);
+    await attachSavedState(page.items, req.user?._id, { posts: true });
+    
+    res.json({ ...page, isFallback });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create a new post
 router.post(
   '/',
   isAuthenticated,
+  requireScope('post'),
+  rateLimit('post'),
   [
     body('title').trim().isLength({ min: 1, max: 300 }).withMessage('Title is required and cannot exceed 300 characters'),
     body('community').trim().not().isEmpty().withMessage('Community is required'),
@@ -82,6 +100,26 @@ router.post(
     try {
       const { title, content, type, imageUrl, url, community } = req.body;
       
+      // Resolve the community by name; posts always reference a real community
+      const targetCommunity = await Community.findOne({ name: community.toLowerCase() });
+      if (!targetCommunity) {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      
+      const ban = await getActiveBan(targetCommunity, req.user);
+      if (ban) {
+        return res.status(403).json(bannedResponse(ban));
+      }
+      
+      // Check if user is allowed to post in this community
+      if (!canSubmit(targetCommunity, req.user)) {
+        return res.status(403).json({
+          message: targetCommunity.type === 'restricted'
+            ? 'Only approved users can post in this community'
+            : 'You must be a member to post in this community'
+        });
+      }
+      
       // Create new post
       const newPost = new Post({
         title,
@@ -90,13 +128,25 @@ router.post(
         url: type === 'link' ? url : undefined,
         type,
         author: req.user._id,
-        community
+        community: targetCommunity._id
       });
       
       await newPost.save();
       
-      // Populate author info before sending response
-      await newPost.populate('author', 'username avatar');
+      await notifyMentions({
+        text: `${title}\n${newPost.content || ''}`,
+        actor: req.user._id,
+        post: newPost._id,
+        community: targetCommunity
+      });
+      
+      // Populate author and community info before sending response
+      await newPost.populate([
+        { path: 'author', select: 'username avatar' },
+        { path: 'community', select: 'name icon' }
+      ]);
+      
+      publish(channels.community(targetCommunity._id), 'post', newPost);
       
       res.status(201).json(newPost);
     } catch (error) {
@@ -111,20 +161,29 @@ router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findOne({ _id: req.params.id, isDeleted: false })
       .populate('author', 'username avatar')
+      .populate('community', 'name icon')
       .lean();
     
-    if (!post) {
+    // Posts whose community is gone are treated as missing
+    const community = post && await getPostCommunity(post);
+    if (!community) {
       return res.status(404).json({ message: 'Post not found' });
     }
     
-    // If user is authenticated, add their vote status
-    if (req.user) {
-      const userVote = post.votes.find(vote => 
-        vote.user && vote.user.toString() === req.user._id.toString()
-      );
-      post.userVote = userVote ? userVote.value : 0;
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This post is in a private community' });
     }
     
+    // Only the author and the moderators can see what a removed post said
+    presentRemoved(post, {
+      userId: req.user?._id,
+      isModerator: canModerate(community, req.user)
+    });
+    
+    // If user is authenticated, add their vote and saved status
+    await attachUserVotes([post], req.user?._id);
+    await attachSavedState([post], req.user?._id, { posts: true });
+    
     res.json(post);
   } catch (error) {
     console.error('Get post error:', error);
@@ -136,6 +195,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
 router.put(
   '/:id',
   isAuthenticated,
+  requireScope('post'),
   [
     body('title').optional().trim().isLength({ min: 1, max: 300 }).withMessage('Title cannot exceed 300 characters'),
     body('content').optional().trim(),
@@ -152,32 +212,42 @@ router.put(
     try {
       const post = await Post.findById(req.params.id);
       
-      if (!post) {
+      if (!post || post.isDeleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
       
       // Check if user is the author
-      if (post.author.toString() !== req.user._id.toString()) {
+      if (post.author?.toString() !== req.user._id.toString()) {
         return res.status(403).json({ message: 'Not authorized to update this post' });
       }
       
+      const blocked = getEditBlock(post);
+      if (blocked) {
+        return res.status(403).json({ message: blocked });
+      }
+      
       // Update fields based on post type
       const { title, content, imageUrl, url } = req.body;
+      const changes = {};
       
-      if (title) post.title = title;
+      if (title) changes.title = title;
       
       if (post.type === 'text' && content !== undefined) {
-        post.content = content;
+        changes.content = content;
       } else if (post.type === 'image' && imageUrl) {
-        post.imageUrl = imageUrl;
+        changes.imageUrl = imageUrl;
       } else if (post.type === 'link' && url) {
-        post.url = url;
+        changes.url = url;
       }
       
-      await post.save();
+      // The replaced version is kept as a revision
+      await applyEdit('Post', post, changes, req.user._id);
       
-      // Populate author info before sending response
-      await post.populate('author', 'username avatar');
+      // Populate author and community info before sending response
+      await post.populate([
+        { path: 'author', select: 'username avatar' },
+        { path: 'community', select: 'name icon' }
+      ]);
       
       res.json(post);
     } catch (error) {
@@ -187,8 +257,35 @@ router.put(
   }
 );
 
+// Get a post's edit history, newest first (author and moderators only, with
+// cursor pagination). Each revision is the version an edit replaced.
+router.get('/:id/revisions', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const post = await Post.findOne({ _id: req.params.id, isDeleted: false });
+    
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    const community = await getPostCommunity(post);
+    if (!canViewRevisions(post, community, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view the edit history' });
+    }
+    
+    const page = await getRevisionPage(post, req.query);
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete a post
-router.delete('/:id', isAuthenticated, async (req, res) => {
+router.delete('/:id', isAuthenticated, requireScope('post'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
@@ -197,7 +294,7 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
     }
     
     // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    if (post.author?.toString() !== req.user._id.toString() && !req.user.isAdmin) {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
     
@@ -205,6 +302,10 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
     post.isDeleted = true;
     await post.save();
     
+    if (post.author?.toString() !== req.user._id.toString()) {
+      await logPostAction(req, 'delete_post', post);
+    }
+    
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
     console.error('Delete post error:', error);
@@ -213,7 +314,7 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
 });
 
 // Vote on a post
-router.post('/:id/vote', isAuthenticated, async (req, res) => {
+router.post('/:id/vote', isAuthenticated, requireScope('vote'), rateLimit('vote'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
@@ -221,6 +322,20 @@ router.post('/:id/vote', isAuthenticated, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
     
+    const community = await getPostCommunity(post);
+    if (!community) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+    
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This post is in a private community' });
+    }
+    
+    const ban = await getActiveBan(community, req.user);
+    if (ban) {
+      return res.status(403).json(bannedResponse(ban));
+    }
+    
     const { vote } = req.body;
     const voteValue = parseInt(vote);
     
@@ -229,100 +344,189 @@ router.post('/:id/vote', isAuthenticated, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vote value' });
     }
     
-    // Check if user has already voted
-    const existingVoteIndex = post.votes.findIndex(
-      v => v.user && v.user.toString() === req.user._id.toString()
-    );
+    const voteCount = await castVote({
+      targetType: 'Post',
+      target: post,
+      userId: req.user._id,
+      value: voteValue
+    });
+    
+    res.json({ 
+      message: 'Vote recorded', 
+      voteCount,
+      userVote: voteValue
+    });
+  } catch (error) {
+    console.error('Vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report a post, citing one of the community's rules or a free-text reason
+router.post(
+  '/:id/report',
+  isAuthenticated,
+  requireScope('post'),
+  [
+    body('ruleId').optional().isMongoId().withMessage('Invalid rule'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body().custom(value => !!(value.ruleId || value.reason)).withMessage('A rule or a reason is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     
-    if (existingVoteIndex !== -1) {
-      if (voteValue === 0) {
-        // Remove vote
-        post.votes.splice(existingVoteIndex, 1);
-      } else {
-        // Update existing vote
-        post.votes[existingVoteIndex].value = voteValue;
+    try {
+      const post = await Post.findOne({ _id: req.params.id, isDeleted: false });
+      
+      if (!post) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      const community = await getPostCommunity(post);
+      if (!community) {
+        return res.status(404).json({ message: 'Post not found' });
+      }
+      
+      if (!canView(community, req.user)) {
+        return res.status(403).json({ message: 'This post is in a private community' });
       }
-    } else if (voteValue !== 0) {
-      // Add new vote
-      post.votes.push({
-        user: req.user._id,
-        value: voteValue
+      
+      let rule = null;
+      if (req.body.ruleId) {
+        rule = community.rules.id(req.body.ruleId);
+        if (!rule) {
+          return res.status(400).json({ message: 'Rule not found' });
+        }
+      }
+      
+      const report = await fileReport({
+        targetType: 'Post',
+        item: post,
+        community,
+        reporter: req.user._id,
+        rule,
+        reason: req.body.reason
       });
+      
+      if (!report) {
+        return res.status(409).json({ message: 'You have already reported this post' });
+      }
+      
+      res.status(201).json({ message: 'Report submitted' });
+    } catch (error) {
+      console.error('Report post error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Save a post for later
+router.post('/:id/save', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    const post = await findViewablePost(req, res);
+    if (!post) return;
+    
+    await saveItem(req.user._id, 'Post', post._id);
+    
+    res.json({ message: 'Post saved', saved: true });
+  } catch (error) {
+    console.error('Save post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a post from the saved items
+router.post('/:id/unsave', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' });
     }
     
-    // Recalculate vote count
-    post.voteCount = post.calculateVoteCount();
+    await unsaveItem(req.user._id, req.params.id);
     
-    await post.save();
+    res.json({ message: 'Post unsaved', saved: false });
+  } catch (error) {
+    console.error('Unsave post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide a post from the user's listings and feed
+router.post('/:id/hide', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    const post = await findViewablePost(req, res);
+    if (!post) return;
     
-    // Update user karma
-    const author = await User.findById(post.author);
-    if (author) {
-      author.karma = await calculateUserKarma(author._id);
-      await author.save();
+    await hidePost(req.user._id, post._id);
+    
+    res.json({ message: 'Post hidden', hidden: true });
+  } catch (error) {
+    console.error('Hide post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Show a hidden post in listings again
+router.post('/:id/unhide', isAuthenticated, requireScope('post'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid post id' });
     }
     
-    res.json({ 
-      message: 'Vote recorded', 
-      voteCount: post.voteCount,
-      userVote: voteValue
-    });
+    await unhidePost(req.user._id, req.params.id);
+    
+    res.json({ message: 'Post unhidden', hidden: false });
   } catch (error) {
-    console.error('Vote error:', error);
+    console.error('Unhide post error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get posts by community
+// Get posts by community (with cursor pagination)
 router.get('/community/:name', optionalAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const sortBy = req.query.sort || 'new';
-    const skip = (page - 1) * limit;
-    
-    let sortOption = {};
-    
-    switch (sortBy) {
-      case 'top':
-        sortOption = { voteCount: -1 };
-        break;
-      case 'hot':
-        sortOption = { _id: -1 };
-        break;
-      case 'new':
-      default:
-        sortOption = { createdAt: -1 };
-    }
-    
-    const posts = await Post.find({ 
-      community: req.params.name.toLowerCase(),
-      isDeleted: false
-    })
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limit)
-      .populate('author', 'username avatar')
-      .lean();
+    const community = await Community.findOne({ name: req.params.name.toLowerCase() });
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
     
-    // If user is authenticated, add their vote status to each post
-    if (req.user) {
-      for (let post of posts) {
-        const userVote = post.votes.find(vote => 
-          vote.user && vote.user.toString() === req.user._id.toString()
-        );
-        post.userVote = userVote ? userVote.value : 0;
-      }
+    if (!canView(community, req.user)) {
+      return res.status(403).json({ message: 'This community is private' });
+    }
+    
+    // Pinned posts are listed separately, above the first page
+    const filter = { community: community._id, isDeleted: false, isRemoved: { $ne: true } };
+    const page = await findPosts({ ...filter, isPinned: { $ne: true } }, req.query, { hiddenFor: req.user });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    let pinned = [];
+    if (!req.query.after && !req.query.before) {
+      pinned = await Post.find({ ...filter, isPinned: true })
+        .sort({ pinnedAt: 1 })
+        .populate('author', 'username avatar')
+        .populate('community', 'name icon')
+        .lean();
+      pinned = await excludeHidden(pinned, req.user);
     }
     
-    res.json(posts);
+    // If user is authenticated, add their vote and saved status to each post
+    await attachUserVotes([...pinned, ...page.items], req.user?._id);
+    await attachSavedState([...pinned, ...page.items], req.user?._id, { posts: true });
+    
+    res.json({ ...page, pinned });
   } catch (error) {
     console.error('Get community posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get posts by user
+// Get posts by user (with cursor pagination)
 router.get('/user/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username });
@@ -331,88 +535,262 @@ router.get('/user/:username', optionalAuth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const posts = await Post.find({ 
+    const hiddenCommunities = await getHiddenCommunities(req.user);
+    
+    // Authors still see their removed posts, along with the reason
+    const isOwnProfile = !!req.user && req.user._id.equals(user._id);
+    
+    const page = await findPosts({ 
       author: user._id,
-      isDeleted: false
-    })
-      .sort({ createdAt: -1 })
-      .populate('author', 'username avatar')
-      .lean();
+      isDeleted: false,
+      ...(isOwnProfile ? {} : { isRemoved: { $ne: true } }),
+      community: { $nin: hiddenCommunities }
+    }, req.query);
     
-    // If user is authenticated, add their vote status to each post
-    if (req.user) {
-      for (let post of posts) {
-        const userVote = post.votes.find(vote => 
-          vote.user && vote.user.toString() === req.user._id.toString()
-        );
-        post.userVote = userVote ? userVote.value : 0;
-      }
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
     }
     
-    res.json(posts);
+    page.items.forEach(post => presentRemoved(post, { userId: req.user?._id, isModerator: false }));
+    
+    // If user is authenticated, add their vote and saved status to each post
+    await attachUserVotes(page.items, req.user?._id);
+    await attachSavedState(page.items, req.user?._id, { posts: true });
+    
+    res.json(page);
   } catch (error) {
     console.error('Get user posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Search posts
-router.get('/search', async (req, res) => {
+// Remove a post (moderators only)
+router.post(
+  '/:id/remove',
+  isAuthenticated,
+  requireScope('moderate'),
+  [
+    body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason cannot exceed 300 characters')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const post = await findPostToModerate(req, res);
+      if (!post) return;
+      
+      const removal = { by: req.user._id, reason: req.body.reason, at: new Date() };
+      await removeContent('Post', post, removal);
+      await closeReports(post._id, 'resolved', req.user._id);
+      await logPostAction(req, 'remove_post', post, req.body.reason);
+      
+      res.json({ message: 'Post removed', isRemoved: true, removal });
+    } catch (error) {
+      console.error('Remove post error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Approve a post, restoring it if it was removed (moderators only)
+router.post('/:id/approve', isAuthenticated, requireScope('moderate'), async (req, res) => {
   try {
-    const { q } = req.query;
+    const post = await findPostToModerate(req, res);
+    if (!post) return;
+    
+    await approveContent('Post', post, req.user._id);
+    await closeReports(post._id, 'dismissed', req.user._id);
+    await logPostAction(req, 'approve_post', post);
     
-    if (!q) {
-      return res.status(400).json({ message: 'Search query is required' });
+    res.json({ message: 'Post approved', isRemoved: false });
+  } catch (error) {
+    console.error('Approve post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lock a post against new comments (moderators only)
+router.post('/:id/lock', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const post = await findPostToModerate(req, res);
+    if (!post) return;
+    
+    post.isLocked = true;
+    await post.save();
+    await logPostAction(req, 'lock_post', post);
+    
+    res.json({ message: 'Post locked', isLocked: true });
+  } catch (error) {
+    console.error('Lock post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock a post (moderators only)
+router.post('/:id/unlock', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const post = await findPostToModerate(req, res);
+    if (!post) return;
+    
+    post.isLocked = false;
+    await post.save();
+    await logPostAction(req, 'unlock_post', post);
+    
+    res.json({ message: 'Post unlocked', isLocked: false });
+  } catch (error) {
+    console.error('Unlock post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin a post to the top of its community (moderators only)
+router.post('/:id/pin', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const post = await findPostToModerate(req, res);
+    if (!post) return;
+    
+    if (post.isPinned) {
+      return res.status(400).json({ message: 'Post is already pinned' });
     }
     
-    const posts = await Post.find({
-      $and: [
-        { isDeleted: false },
-        {
-          $or: [
-            { title: { $regex: q, $options: 'i' } },
-            { content: { $regex: q, $options: 'i' } }
-          ]
-        }
-      ]
-    })
-      .sort({ createdAt: -1 })
-      .limit(20)
-      .populate('author', 'username avatar')
-      .lean();
+    if (post.isRemoved) {
+      return res.status(400).json({ message: 'Removed posts cannot be pinned' });
+    }
+    
+    const pinnedFilter = {
+      community: post.community,
+      isPinned: true,
+      isDeleted: false,
+      isRemoved: { $ne: true }
+    };
+    const tooMany = () =>
+      res.status(400).json({ message: `A community can have at most ${MAX_PINNED} pinned posts` });
+    
+    if (await Post.countDocuments(pinnedFilter) >= MAX_PINNED) {
+      return tooMany();
+    }
     
-    res.json(posts);
+    const pinned = await Post.findOneAndUpdate(
+      { _id: post._id, isPinned: { $ne: true }, isRemoved: { $ne: true } },
+      { $set: { isPinned: true, pinnedAt: new Date() } }
+    );
+    if (!pinned) {
+      return res.status(409).json({ message: 'Post was pinned or removed in the meantime' });
+    }
+    
+    // Concurrent pins can get past the count above. The earliest pins keep
+    // their place and any pin beyond the limit is undone.
+    const kept = await Post.find(pinnedFilter)
+      .sort({ pinnedAt: 1, _id: 1 })
+      .limit(MAX_PINNED)
+      .select('_id');
+    if (!kept.some(item => item._id.equals(post._id))) {
+      await Post.updateOne({ _id: post._id }, { $set: { isPinned: false }, $unset: { pinnedAt: 1 } });
+      return tooMany();
+    }
+    
+    await logPostAction(req, 'pin_post', post);
+    
+    res.json({ message: 'Post pinned', isPinned: true });
+  } catch (error) {
+    console.error('Pin post error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unpin a post (moderators only)
+router.post('/:id/unpin', isAuthenticated, requireScope('moderate'), async (req, res) => {
+  try {
+    const post = await findPostToModerate(req, res);
+    if (!post) return;
+    
+    post.isPinned = false;
+    post.pinnedAt = undefined;
+    await post.save();
+    await logPostAction(req, 'unpin_post', post);
+    
+    res.json({ message: 'Post unpinned', isPinned: false });
   } catch (error) {
-    console.error('Search posts error:', error);
+    console.error('Unpin post error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function to calculate user karma
-async function calculateUserKarma(userId) {
+// Admin only: Recompute comment counts from the comments collection
+router.post('/admin/reconcile-comment-counts', isAuthenticated, isAdmin, requireScope('moderate'), async (req, res) => {
   try {
-    // Sum up votes on user's posts
-    const postVotes = await Post.aggregate([
-      { $match: { author: userId, isDeleted: false } },
-      { $unwind: '$votes' },
-      { $group: { _id: null, total: { $sum: '$votes.value' } } }
-    ]);
-    
-    // Sum up votes on user's comments
-    const commentVotes = await Comment.aggregate([
-      { $match: { author: userId, isDeleted: false } },
-      { $unwind: '$votes' },
-      { $group: { _id: null, total: { $sum: '$votes.value' } } }
-    ]);
-    
-    const postKarma = postVotes.length > 0 ? postVotes[0].total : 0;
-    const commentKarma = commentVotes.length > 0 ? commentVotes[0].total : 0;
-    
-    return postKarma + commentKarma;
+    const corrected = await Post.reconcileCommentCounts();
+    res.json({ message: 'Comment counts reconciled', corrected });
   } catch (error) {
-    console.error('Calculate karma error:', error);
-    return 0;
+    console.error('Reconcile comment counts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper function to load a post the user can see. Sends the error response
+// and returns null otherwise.
+async function findViewablePost(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid post id' });
+    return null;
+  }
+  
+  const post = await Post.findOne({ _id: req.params.id, isDeleted: false });
+  
+  if (!post) {
+    res.status(404).json({ message: 'Post not found' });
+    return null;
+  }
+  
+  const community = await getPostCommunity(post);
+  if (!community) {
+    res.status(404).json({ message: 'Post not found' });
+    return null;
   }
+  
+  if (!canView(community, req.user)) {
+    res.status(403).json({ message: 'This post is in a private community' });
+    return null;
+  }
+  
+  return post;
+}
+
+// Helper function to load a post for a moderator action. Sends the error
+// response and returns null if the post doesn't exist or the user can't
+// moderate its community.
+async function findPostToModerate(req, res) {
+  const post = await Post.findOne({ _id: req.params.id, isDeleted: false });
+  
+  if (!post) {
+    res.status(404).json({ message: 'Post not found' });
+    return null;
+  }
+  
+  const community = await getPostCommunity(post);
+  if (!community || !canModerate(community, req.user)) {
+    res.status(403).json({ message: 'Not authorized to moderate this post' });
+    return null;
+  }
+  
+  return post;
+}
+
+// Helper function to record a moderator action on a post
+function logPostAction(req, action, post, reason) {
+  return logModAction({
+    action,
+    moderator: req.user._id,
+    community: post.community,
+    targetType: 'Post',
+    target: post._id,
+    targetUser: post.author,
+    reason
+  });
 }
 
 module.exports = router;
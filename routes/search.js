@@ -0,0 +1,208 @@
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const User = require('../models/User');
+const { optionalAuth } = require('../middleware/auth');
+const { canView, getHiddenCommunities } = require('../utils/communityAccess');
+const { getPageQuery, buildPage } = require('../utils/pagination');
+const { getSearchTerms, highlight } = require('../utils/highlight');
+const { attachUserVotes } = require('../utils/voting');
+const { attachSavedState } = require('../utils/savedItems');
+
+// Sort orders available for search results
+const SEARCH_SORTS = {
+  relevance: { score: -1, _id: -1 },
+  new: { createdAt: -1, _id: -1 },
+  top: { voteCount: -1, _id: -1 }
+};
+
+// Search posts, comments, communities or users
+// Query: q, type ('posts', 'comments', 'communities', 'users'), sort
+// ('relevance', 'new', 'top'), community, author, postType, from, to,
+// limit, after, before
+router.get(
+  '/',
+  optionalAuth,
+  [
+    query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query is required and cannot exceed 200 characters'),
+    query('type').optional().isIn(['posts', 'comments', 'communities', 'users']).withMessage('Invalid search type'),
+    query('sort').optional().isIn(Object.keys(SEARCH_SORTS)).withMessage('Invalid sort'),
+    query('postType').optional().isIn(['text', 'image', 'link']).withMessage('Invalid post type'),
+    query('community').optional().trim(),
+    query('author').optional().trim(),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const type = req.query.type || 'posts';
+      const sortOption = SEARCH_SORTS[req.query.sort] || SEARCH_SORTS.relevance;
+      
+      // Communities and users have no votes to sort by
+      if (sortOption.voteCount && (type === 'communities' || type === 'users')) {
+        return res.status(400).json({ message: 'Top sort is only available for posts and comments' });
+      }
+      
+      const page = getPageQuery(req.query, sortOption);
+      if (!page) {
+        return res.status(400).json({ message: 'Invalid pagination cursor' });
+      }
+      
+      // Filters shared by posts and comments
+      const filter = {};
+      
+      if (req.query.from || req.query.to) {
+        filter.createdAt = {};
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+      }
+      
+      if (req.query.author) {
+        const author = await User.findOne({ username: req.query.author }).select('_id').lean();
+        if (!author) {
+          return res.json(buildPage([], sortOption, page));
+        }
+        filter.author = author._id;
+      }
+      
+      let community = null;
+      if (req.query.community) {
+        community = await Community.findOne({ name: req.query.community.toLowerCase() });
+        if (!community) {
+          return res.status(404).json({ message: 'Community not found' });
+        }
+        if (!canView(community, req.user)) {
+          return res.status(403).json({ message: 'This community is private' });
+        }
+      }
+      
+      const terms = getSearchTerms(req.query.q);
+      let results;
+      
+      switch (type) {
+        case 'comments':
+          results = await searchComments(req, filter, community, page);
+          results.forEach(comment => {
+            comment.highlights = { content: highlight(comment.content, terms) };
+          });
+          break;
+        case 'communities':
+          results = await runSearch(Community, req.query.q, {}, page, {
+            name: 1, description: 1, icon: 1, members: 1, type: 1, createdAt: 1
+          });
+          results.forEach(result => {
+            result.highlights = {
+              name: highlight(result.name, terms),
+              description: highlight(result.description, terms)
+            };
+          });
+          break;
+        case 'users':
+          results = await runSearch(User, req.query.q, {}, page, {
+            username: 1, avatar: 1, bio: 1, karma: 1, createdAt: 1
+          });
+          results.forEach(result => {
+            result.highlights = {
+              username: highlight(result.username, terms),
+              bio: highlight(result.bio, terms)
+            };
+          });
+          break;
+        case 'posts':
+        default:
+          results = await searchPosts(req, filter, community, page);
+          results.forEach(post => {
+            post.highlights = {
+              title: highlight(post.title, terms, 300),
+              content: highlight(post.content, terms)
+            };
+          });
+      }
+      
+      const response = buildPage(results, sortOption, page);
+      
+      if (type === 'posts' || type === 'comments') {
+        await attachUserVotes(response.items, req.user?._id);
+        await attachSavedState(response.items, req.user?._id, { posts: type === 'posts' });
+      }
+      
+      res.json(response);
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Helper function to run a text search for one page of results, ranked by
+// the page's sort. Extra stages run between the text match and the sort.
+async function runSearch(Model, q, filter, page, projection, extraStages = []) {
+  return Model.aggregate([
+    { $match: { $text: { $search: q }, ...filter } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    ...extraStages,
+    ...(page.filter ? [{ $match: page.filter }] : []),
+    { $sort: page.sort },
+    { $limit: page.limit + 1 },
+    ...(projection ? [{ $project: { ...projection, score: 1 } }] : [])
+  ]);
+}
+
+// Helper function to search posts the user is allowed to see
+async function searchPosts(req, filter, community, page) {
+  const postFilter = { ...filter, isDeleted: false, isRemoved: { $ne: true } };
+  
+  if (req.query.postType) postFilter.type = req.query.postType;
+  
+  if (community) {
+    postFilter.community = community._id;
+  } else {
+    postFilter.community = { $nin: await getHiddenCommunities(req.user) };
+  }
+  
+  const posts = await runSearch(Post, req.query.q, postFilter, page);
+  
+  return Post.populate(posts, [
+    { path: 'author', select: 'username avatar' },
+    { path: 'community', select: 'name icon' }
+  ]);
+}
+
+// Helper function to search comments the user is allowed to see. Comments
+// don't store their community, so it is looked up through the post.
+async function searchComments(req, filter, community, page) {
+  const postMatch = community
+    ? { 'post.community': community._id }
+    : { 'post.community': { $nin: await getHiddenCommunities(req.user) } };
+  
+  const comments = await runSearch(Comment, req.query.q, { ...filter, isDeleted: false, isRemoved: { $ne: true } }, page, null, [
+    {
+      $lookup: {
+        from: Post.collection.name,
+        localField: 'post',
+        foreignField: '_id',
+        as: 'post',
+        pipeline: [{ $project: { title: 1, community: 1, isDeleted: 1, isRemoved: 1 } }]
+      }
+    },
+    { $unwind: '$post' },
+    { $match: { ...postMatch, 'post.isDeleted': false, 'post.isRemoved': { $ne: true } } }
+  ]);
+  
+  return Comment.populate(comments, [
+    { path: 'author', select: 'username avatar' },
+    { path: 'post.community', model: 'Community', select: 'name icon' }
+  ]);
+}
+
+module.exports = router;
@@ -2,17 +2,39 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const Post = require('../models/Post');
 const Comment = require('../models/Comment');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const Post = require('../models/Post');
+const SavedItem = require('../models/SavedItem');
+const Community = require('../models/Community');
+const { isAuthenticated, isAdmin, optionalAuth, requireScope, requireSession } = require('../middleware/auth');
+const { getHiddenCommunities } = require('../utils/communityAccess');
+const { findPosts } = require('../utils/postListing');
+const { paginateQuery, getPageQuery, withCursor, buildPage, fetchFiltered } = require('../utils/pagination');
+const { findUserComments } = require('../utils/commentListing');
+const { presentRemoved } = require('../utils/moderation');
+const { attachUserVotes } = require('../utils/voting');
+const { attachSavedState } = require('../utils/savedItems');
+const { logModAction } = require('../utils/modLog');
+const { deleteAccount } = require('../utils/accountDeletion');
+const { clearAuthCookies, revokeSessions, revokeAccessTokens } = require('../utils/sessions');
 const { body, validationResult } = require('express-validator');
 
-// Get user by username
-router.get('/:username', async (req, res) => {
+// Fields shown on a public profile
+const PUBLIC_PROFILE_FIELDS = 'username avatar bio karma postKarma commentKarma joinedCommunities createdAt';
+
+// Get user by username. Private communities the viewer can't see are left out
+// of the joined communities.
+router.get('/:username', optionalAuth, async (req, res) => {
   try {
+    const hiddenCommunities = await getHiddenCommunities(req.user);
+    
     const user = await User.findOne({ username: req.params.username })
-      .select('-password')
-      .populate('joinedCommunities', 'name');
+      .select(PUBLIC_PROFILE_FIELDS)
+      .populate({
+        path: 'joinedCommunities',
+        select: 'name',
+        match: { _id: { $nin: hiddenCommunities } }
+      });
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -29,6 +51,7 @@ router.get('/:username', async (req, res) => {
 router.put(
   '/profile',
   isAuthenticated,
+  requireSession,
   [
     body('bio').optional().trim().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
     body('avatar').optional().trim().isURL().withMessage('Avatar must be a valid URL')
@@ -67,6 +90,7 @@ router.put(
 router.put(
   '/password',
   isAuthenticated,
+  requireSession,
   [
     body('currentPassword').not().isEmpty().withMessage('Current password is required'),
     body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters long')
@@ -94,6 +118,11 @@ router.put(
       user.password = newPassword;
       await user.save();
       
+      // Sign out everywhere else and revoke the personal access tokens, in
+      // case the old password was compromised
+      await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } });
+      await revokeAccessTokens({ user: user._id });
+      
       res.json({ message: 'Password updated successfully' });
     } catch (error) {
       console.error('Change password error:', error);
@@ -102,8 +131,8 @@ router.put(
   }
 );
 
-// Get user's posts
-router.get('/:username/posts', async (req, res) => {
+// Get user's posts (with cursor pagination)
+router.get('/:username/posts', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username });
     
@@ -111,23 +140,33 @@ router.get('/:username/posts', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const posts = await Post.find({ 
+    const hiddenCommunities = await getHiddenCommunities(req.user);
+    
+    // Authors still see their removed posts, along with the reason
+    const isOwnProfile = !!req.user && req.user._id.equals(user._id);
+    
+    const page = await findPosts({ 
       author: user._id,
-      isDeleted: false 
-    })
-    .sort({ createdAt: -1 })
-    .populate('author', 'username avatar')
-    .lean();
+      isDeleted: false,
+      ...(isOwnProfile ? {} : { isRemoved: { $ne: true } }),
+      community: { $nin: hiddenCommunities }
+    }, req.query);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
     
-    res.json(posts);
+    page.items.forEach(post => presentRemoved(post, { userId: req.user?._id, isModerator: false }));
+    
+    res.json(page);
   } catch (error) {
     console.error('Get user posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get user's comments
-router.get('/:username/comments', async (req, res) => {
+// Get user's comments (with cursor pagination)
+router.get('/:username/comments', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username });
     
@@ -135,35 +174,182 @@ router.get('/:username/comments', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const comments = await Comment.find({ 
-      author: user._id,
-      isDeleted: false 
-    })
-    .sort({ createdAt: -1 })
-    .populate('author', 'username avatar')
-    .populate('post', 'title _id')
-    .lean();
-    
-    res.json(comments);
+    // Authors still see their removed comments, along with the reason
+    const isOwnProfile = !!req.user && req.user._id.equals(user._id);
+    
+    const page = await findUserComments(user._id, req.query, { viewer: req.user, includeRemoved: isOwnProfile });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    page.items.forEach(comment => presentRemoved(comment, { userId: req.user?._id, isModerator: false }));
+    
+    res.json(page);
   } catch (error) {
     console.error('Get user comments error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin only: Get all users
-router.get('/', isAuthenticated, isAdmin, async (req, res) => {
+// Admin only: Get all users (with cursor pagination)
+router.get('/', isAuthenticated, isAdmin, requireScope('moderate'), async (req, res) => {
   try {
-    const users = await User.find().select('-password').sort({ createdAt: -1 });
-    res.json(users);
+    const page = await paginateQuery(User, {}, { createdAt: -1, _id: -1 }, req.query, { select: '-password' });
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
   } catch (error) {
     console.error('Get all users error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get communities the current user has joined (with cursor pagination)
+router.get('/me/communities', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const page = await paginateQuery(
+      Community,
+      { _id: { $in: req.user.joinedCommunities } },
+      { name: 1, _id: 1 },
+      req.query,
+      { select: 'name description icon members type' }
+    );
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    res.json(page);
+  } catch (error) {
+    console.error('Get joined communities error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's saved posts and comments, most recently saved first
+// (with cursor pagination). Items that were deleted or are no longer visible
+// are left out.
+// Query: type ('posts' or 'comments' for one kind only), limit, after, before
+router.get('/me/saved', isAuthenticated, requireScope('read'), async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.type === 'posts') filter.targetType = 'Post';
+    if (req.query.type === 'comments') filter.targetType = 'Comment';
+    
+    const sortOption = { createdAt: -1, _id: -1 };
+    const page = getPageQuery(req.query, sortOption);
+    
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid pagination cursor' });
+    }
+    
+    const hiddenCommunities = (await getHiddenCommunities(req.user)).map(id => id.toString());
+    
+    // Attach the saved posts and comments, dropping the ones that were deleted
+    // or can no longer be seen
+    const loadTargets = async savedItems => {
+      const targetIds = targetType => savedItems
+        .filter(item => item.targetType === targetType)
+        .map(item => item.target);
+      
+      const posts = await Post.find({ _id: { $in: targetIds('Post') }, isDeleted: false })
+        .populate('author', 'username avatar')
+        .populate('community', 'name icon')
+        .lean();
+      const comments = await Comment.find({ _id: { $in: targetIds('Comment') }, isDeleted: false })
+        .populate('author', 'username avatar')
+        .populate('post', 'title _id community')
+        .lean();
+      
+      const targets = new Map([...posts, ...comments].map(item => [item._id.toString(), item]));
+      
+      return savedItems
+        .map(item => ({ ...item, target: targets.get(item.target.toString()) }))
+        .filter(({ targetType, target }) => {
+          if (!target) return false;
+          const community = targetType === 'Post' ? target.community?._id : target.post?.community;
+          return !!community && !hiddenCommunities.includes(community.toString());
+        });
+    };
+    
+    // Filtering happens per batch, so pages stay full and the cursors follow
+    // the saved items
+    const savedItems = await fetchFiltered(
+      page,
+      sortOption,
+      batchPage => SavedItem.find(withCursor(filter, batchPage))
+        .sort(batchPage.sort)
+        .limit(batchPage.limit + 1)
+        .lean(),
+      loadTargets
+    );
+    const response = buildPage(savedItems, sortOption, page);
+    
+    const posts = response.items.filter(item => item.targetType === 'Post').map(item => item.target);
+    const comments = response.items.filter(item => item.targetType === 'Comment').map(item => item.target);
+    
+    const viewer = { userId: req.user._id, isModerator: false };
+    posts.forEach(post => presentRemoved(post, viewer));
+    comments.forEach(comment => presentRemoved(comment, viewer));
+    
+    await attachUserVotes([...posts, ...comments], req.user._id);
+    await attachSavedState(posts, req.user._id, { posts: true });
+    await attachSavedState(comments, req.user._id);
+    
+    response.items = response.items.map(({ targetType, target, createdAt }) => ({
+      targetType,
+      target,
+      savedAt: createdAt
+    }));
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Get saved items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete your own account, confirmed with the password
+router.delete(
+  '/me',
+  isAuthenticated,
+  requireSession,
+  [
+    body('password').not().isEmpty().withMessage('Password is required')
+  ],
+  async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      // Get user with password
+      const user = await User.findById(req.user._id);
+      
+      const isMatch = await user.comparePassword(req.body.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+      
+      await deleteAccount(user);
+      
+      clearAuthCookies(res);
+      res.json({ message: 'Account deleted successfully' });
+    } catch (error) {
+      console.error('Delete account error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // Admin only: Delete user
-router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.delete('/:id', isAuthenticated, isAdmin, requireScope('moderate'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -171,9 +357,16 @@ router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    await User.findByIdAndDelete(req.params.id);
+    await deleteAccount(user);
     
-    // Could also delete user's posts and comments here
+    await logModAction({
+      action: 'delete_user',
+      moderator: req.user._id,
+      targetType: 'User',
+      target: user._id,
+      targetUser: user._id,
+      details: { username: user.username }
+    });
     
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
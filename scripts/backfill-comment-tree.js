@@ -0,0 +1,85 @@
+
+// Fill in Comment.ancestors, depth, replyCount and descendantCount for existing comments,
+// walking the threads one level at a time from the top-level comments down
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  let level = await Comment.find({ parentId: null }).select('_id').lean();
+  let depth = 0;
+  let updated = 0;
+  
+  await Comment.updateMany({ parentId: null }, { $set: { ancestors: [], depth: 0 } });
+  updated += level.length;
+  
+  while (level.length > 0) {
+    const ancestorsById = new Map(level.map(c => [c._id.toString(), c.ancestors || []]));
+    const nextLevel = [];
+    
+    for (let i = 0; i < level.length; i += BATCH_SIZE) {
+      const parentIds = level.slice(i, i + BATCH_SIZE).map(c => c._id);
+      const children = await Comment.find({ parentId: { $in: parentIds } }).select('_id parentId').lean();
+      
+      const operations = children.map(child => {
+        const ancestors = [...ancestorsById.get(child.parentId.toString()), child.parentId];
+        nextLevel.push({ _id: child._id, ancestors });
+        
+        return {
+          updateOne: {
+            filter: { _id: child._id },
+            update: { $set: { ancestors, depth: depth + 1 } }
+          }
+        };
+      });
+      
+      if (operations.length > 0) {
+        await Comment.bulkWrite(operations);
+        updated += operations.length;
+      }
+    }
+    
+    level = nextLevel;
+    depth += 1;
+  }
+  
+  // Direct reply counts
+  const counts = await Comment.aggregate([
+    { $match: { parentId: { $ne: null } } },
+    { $group: { _id: '$parentId', count: { $sum: 1 } } }
+  ]);
+  
+  await Comment.updateMany({}, { $set: { replyCount: 0 } });
+  for (let i = 0; i < counts.length; i += BATCH_SIZE) {
+    await Comment.bulkWrite(counts.slice(i, i + BATCH_SIZE).map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { replyCount: count } } }
+    })));
+  }
+  
+  // Live descendant counts, from the ancestors filled in above
+  const descendantCounts = await Comment.aggregate([
+    { $match: { isDeleted: false } },
+    { $unwind: '$ancestors' },
+    { $group: { _id: '$ancestors', count: { $sum: 1 } } }
+  ]);
+  
+  await Comment.updateMany({}, { $set: { descendantCount: 0 } });
+  for (let i = 0; i < descendantCounts.length; i += BATCH_SIZE) {
+    await Comment.bulkWrite(descendantCounts.slice(i, i + BATCH_SIZE).map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { descendantCount: count } } }
+    })));
+  }
+  
+  console.log(`Updated ${updated} comments across ${depth} levels`);
+}
+
+backfill()
+  .catch(err => {
+    console.error('Backfill error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+
+// Compute the stored ranking scores (hot, controversial) for existing posts
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { hotScore, controversyScore } = require('../utils/ranking');
+
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const cursor = Post.find().select('voteCount upvotes downvotes createdAt').lean().cursor();
+  let operations = [];
+  let updated = 0;
+  
+  for await (const post of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: {
+          $set: {
+            hotScore: hotScore(post.voteCount, post.createdAt),
+            controversyScore: controversyScore(post.upvotes || 0, post.downvotes || 0)
+          }
+        }
+      }
+    });
+    
+    if (operations.length === BATCH_SIZE) {
+      await Post.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+  
+  if (operations.length > 0) {
+    await Post.bulkWrite(operations);
+    updated += operations.length;
+  }
+  
+  console.log(`Updated scores for ${updated} posts`);
+}
+
+backfill()
+  .catch(err => {
+    console.error('Backfill error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,47 @@
+
+// Convert Post.community from the community name to a Community reference.
+// Posts whose community name doesn't match any community are reported and left untouched.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Community = require('../models/Community');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const communities = await Community.find().select('name').lean();
+  const idsByName = new Map(communities.map(c => [c.name, c._id]));
+  
+  // Read through the raw collection: the schema now expects an ObjectId
+  const names = await Post.collection.distinct('community', { community: { $type: 'string' } });
+  
+  let migrated = 0;
+  const unknown = [];
+  
+  for (const name of names) {
+    const communityId = idsByName.get(name.trim().toLowerCase());
+    
+    if (!communityId) {
+      unknown.push(name);
+      continue;
+    }
+    
+    const result = await Post.collection.updateMany(
+      { community: name },
+      { $set: { community: communityId } }
+    );
+    migrated += result.modifiedCount;
+  }
+  
+  console.log(`Migrated ${migrated} posts`);
+  if (unknown.length > 0) {
+    console.warn(`No community found for: ${unknown.join(', ')}`);
+  }
+}
+
+migrate()
+  .catch(err => {
+    console.error('Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,20 @@
+// Replace the unique index on Report { reporter, target } with the one that
+// only covers open reports, so users can report an item again once their
+// earlier report was closed. Safe to re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const dropped = await Report.syncIndexes();
+  console.log(`Synced report indexes; dropped ${dropped.length ? dropped.join(', ') : 'none'}`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,129 @@
+
+// Move the votes embedded in posts and comments into the Vote collection,
+// recount each target's votes and recompute every user's karma from scratch.
+// Safe to re-run: documents without an embedded votes array are skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { hotScore, controversyScore } = require('../utils/ranking');
+
+const BATCH_SIZE = 500;
+
+// Read through the raw collection: the schemas no longer have a votes array
+async function migrateTargets(Model, targetType) {
+  const cursor = Model.collection.find(
+    { votes: { $exists: true } },
+    { projection: { votes: 1, createdAt: 1 } }
+  );
+  let migrated = 0;
+  
+  for await (const doc of cursor) {
+    // Keep only the last vote of each user, as the old code would have
+    const valuesByUser = new Map();
+    for (const vote of doc.votes) {
+      if (vote.user && [1, -1].includes(vote.value)) {
+        valuesByUser.set(vote.user.toString(), vote.value);
+      }
+    }
+    
+    const votes = [...valuesByUser].map(([user, value]) => ({
+      user: new mongoose.Types.ObjectId(user),
+      targetType,
+      target: doc._id,
+      value
+    }));
+    
+    if (votes.length > 0) {
+      try {
+        await Vote.insertMany(votes, { ordered: false });
+      } catch (error) {
+        // Votes already migrated by an earlier run
+        if (error.code !== 11000) throw error;
+      }
+    }
+    
+    const upvotes = votes.filter(vote => vote.value === 1).length;
+    const downvotes = votes.length - upvotes;
+    const voteCount = upvotes - downvotes;
+    
+    const update = targetType === 'Post'
+      ? {
+          voteCount,
+          upvotes,
+          downvotes,
+          hotScore: hotScore(voteCount, doc.createdAt),
+          controversyScore: controversyScore(upvotes, downvotes)
+        }
+      : { voteCount };
+    
+    await Model.collection.updateOne(
+      { _id: doc._id },
+      { $set: update, $unset: { votes: '' } }
+    );
+    migrated += 1;
+  }
+  
+  return migrated;
+}
+
+// Karma is the sum of the vote counts on everything the user wrote
+async function sumVotesByAuthor(Model) {
+  const totals = await Model.aggregate([
+    { $group: { _id: '$author', total: { $sum: '$voteCount' } } }
+  ]);
+  return new Map(totals.map(({ _id, total }) => [String(_id), total]));
+}
+
+async function recomputeKarma() {
+  const postKarma = await sumVotesByAuthor(Post);
+  const commentKarma = await sumVotesByAuthor(Comment);
+  
+  let operations = [];
+  let updated = 0;
+  
+  for await (const user of User.find().select('_id').lean().cursor()) {
+    const fromPosts = postKarma.get(user._id.toString()) || 0;
+    const fromComments = commentKarma.get(user._id.toString()) || 0;
+    
+    operations.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { postKarma: fromPosts, commentKarma: fromComments, karma: fromPosts + fromComments } }
+      }
+    });
+    
+    if (operations.length === BATCH_SIZE) {
+      await User.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+  
+  if (operations.length > 0) {
+    await User.bulkWrite(operations);
+    updated += operations.length;
+  }
+  
+  return updated;
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Vote.syncIndexes();
+  
+  const posts = await migrateTargets(Post, 'Post');
+  const comments = await migrateTargets(Comment, 'Comment');
+  const users = await recomputeKarma();
+  
+  console.log(`Migrated votes on ${posts} posts and ${comments} comments; recomputed karma for ${users} users`);
+}
+
+migrate()
+  .catch(err => {
+    console.error('Migration error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
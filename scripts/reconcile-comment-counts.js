@@ -0,0 +1,20 @@
+
+// Recompute Post.commentCount from the Comment collection
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+require('../models/Comment');
+
+async function reconcile() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const corrected = await Post.reconcileCommentCounts();
+  console.log(`Corrected comment counts on ${corrected} posts`);
+}
+
+reconcile()
+  .catch(err => {
+    console.error('Reconcile error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,20 @@
+
+// Recompute Community.members from the users' joined communities
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Community = require('../models/Community');
+require('../models/User');
+
+async function reconcile() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const corrected = await Community.reconcileMemberCounts();
+  console.log(`Corrected member counts on ${corrected} communities`);
+}
+
+reconcile()
+  .catch(err => {
+    console.error('Reconcile error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -12,6 +12,11 @@ const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const commentRoutes = require('./routes/comments');
 const communityRoutes = require('./routes/communities');
+const searchRoutes = require('./routes/search');
+const modLogRoutes = require('./routes/modlog');
+const notificationRoutes = require('./routes/notifications');
+const eventRoutes = require('./routes/events');
+const messageRoutes = require('./routes/messages');
 
 // Create Express app
 const app = express();
@@ -24,6 +29,12 @@ mongoose.connect(process.env.MONGODB_URI)
     process.exit(1);
   });
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address
+// (rate limits are counted per IP)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -36,6 +47,11 @@ app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/communities', communityRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/modlog', modLogRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,82 @@
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const CommunityBan = require('../models/CommunityBan');
+const Report = require('../models/Report');
+const AuthToken = require('../models/AuthToken');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+const Vote = require('../models/Vote');
+const { castVote } = require('./voting');
+const { revokeSessions, revokeAccessTokens } = require('./sessions');
+
+// Delete a user account. Posts and comments stay up with the author cleared
+// so threads keep making sense; everything else tied to the account goes.
+exports.deleteAccount = async user => {
+  const userId = user._id;
+  
+  // Clear the user's votes the same way a user clears a vote, so scores and
+  // the other authors' karma are adjusted
+  for await (const vote of Vote.find({ user: userId }).lean().cursor()) {
+    const target = await mongoose.model(vote.targetType)
+      .findById(vote.target)
+      .select('author voteCount')
+      .lean();
+    
+    if (target) {
+      await castVote({ targetType: vote.targetType, target, userId, value: 0 });
+    } else {
+      await Vote.deleteOne({ _id: vote._id });
+    }
+  }
+  
+  // Leave every community so the member counts stay right
+  for (const communityId of user.joinedCommunities) {
+    await Community.removeMember(communityId, userId);
+  }
+  
+  await Community.updateMany(
+    { $or: [{ moderators: userId }, { approvedUsers: userId }, { 'joinRequests.user': userId }] },
+    { $pull: { moderators: userId, approvedUsers: userId, joinRequests: { user: userId } } }
+  );
+  
+  // Hand the user's communities to their longest-serving remaining moderator,
+  // or leave them without an owner if there is none
+  const ownedCommunities = await Community.find({ creator: userId }).select('moderators');
+  for (const community of ownedCommunities) {
+    await Community.updateOne(
+      { _id: community._id },
+      community.moderators.length > 0
+        ? { $set: { creator: community.moderators[0] } }
+        : { $unset: { creator: 1 } }
+    );
+  }
+  
+  await Post.updateMany({ author: userId }, { $set: { author: null } });
+  await Comment.updateMany({ author: userId }, { $set: { author: null } });
+  
+  // Messages stay in the other side's conversations, without a sender
+  await Message.updateMany({ sender: userId }, { $set: { sender: null } });
+  await Conversation.updateMany(
+    { $or: [{ participants: userId }, { unreadBy: userId }] },
+    { $pull: { participants: userId, unreadBy: userId } }
+  );
+  
+  // Reports stay in the moderation history without the reporter
+  await Report.updateMany({ reporter: userId }, { $set: { reporter: null } });
+  await CommunityBan.deleteMany({ user: userId });
+  await revokeSessions({ user: userId });
+  await AuthToken.deleteMany({ user: userId });
+  await revokeAccessTokens({ user: userId });
+  await Notification.deleteMany({ recipient: userId });
+  await SavedItem.deleteMany({ user: userId });
+  await HiddenPost.deleteMany({ user: userId });
+  
+  await User.deleteOne({ _id: userId });
+};
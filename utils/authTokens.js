@@ -0,0 +1,37 @@
+
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./sessions');
+
+// How long each kind of token stays valid
+const TOKEN_TTL = {
+  verify_email: 24 * 60 * 60 * 1000, // 1 day
+  reset_password: 60 * 60 * 1000 // 1 hour
+};
+
+// Issue a token for the user, replacing any earlier one with the same
+// purpose. Returns the raw token to put in the email.
+exports.issueToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  await AuthToken.deleteMany({ user: user._id, purpose });
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+  });
+  
+  return token;
+};
+
+// Use up a token. Deleting it is what makes it single-use, so a token can
+// only be redeemed once even by concurrent requests. Returns null if the
+// token is unknown, expired or already used.
+exports.consumeToken = (token, purpose) =>
+  AuthToken.findOneAndDelete({
+    tokenHash: hashToken(String(token)),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
@@ -0,0 +1,44 @@
+
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { getHiddenCommunities } = require('./communityAccess');
+const { getPageQuery, withCursor, buildPage } = require('./pagination');
+
+const COMMENT_LISTING_SORT = { createdAt: -1, _id: -1 };
+
+// Fetch a page of a user's comments, newest first, leaving out comments on
+// posts that are gone or in private communities the viewer can't see. The
+// post's community is joined in the query, so pages stay full and the
+// cursors stay right. Returns the listing envelope, or null if the cursor is
+// invalid.
+exports.findUserComments = async (authorId, query, { viewer, includeRemoved = false } = {}) => {
+  const page = getPageQuery(query, COMMENT_LISTING_SORT);
+  if (!page) return null;
+  
+  const hiddenCommunities = await getHiddenCommunities(viewer);
+  const filter = {
+    author: authorId,
+    isDeleted: false,
+    ...(includeRemoved ? {} : { isRemoved: { $ne: true } })
+  };
+  
+  const comments = await Comment.aggregate([
+    { $match: withCursor(filter, page) },
+    { $sort: page.sort },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        localField: 'post',
+        foreignField: '_id',
+        pipeline: [{ $match: { isDeleted: false } }, { $project: { title: 1, community: 1 } }],
+        as: 'post'
+      }
+    },
+    { $unwind: '$post' },
+    { $match: { 'post.community': { $nin: hiddenCommunities } } },
+    { $limit: page.limit + 1 }
+  ]);
+  await Comment.populate(comments, { path: 'author', select: 'username avatar' });
+  
+  return buildPage(comments, COMMENT_LISTING_SORT, page);
+};
@@ -0,0 +1,142 @@
+
+const Comment = require('../models/Comment');
+const { parseLimit, getPageQuery, withCursor, buildPage, encodeCursor } = require('./pagination');
+const { attachUserVotes } = require('./voting');
+const { attachSavedState } = require('./savedItems');
+const { presentRemoved } = require('./moderation');
+
+// Comments are shown best first: votes, then date
+const COMMENT_SORT = { voteCount: -1, createdAt: -1, _id: -1 };
+
+const DEFAULT_DEPTH = 5;
+const MAX_DEPTH = 10;
+const DEFAULT_REPLY_LIMIT = 5;
+const MAX_REPLY_LIMIT = 50;
+
+// Upper bound on the descendants loaded alongside one page of comments
+const MAX_DESCENDANTS = 500;
+
+const parseDepth = value =>
+  Math.min(Math.max(parseInt(value) || DEFAULT_DEPTH, 1), MAX_DEPTH);
+
+// Comments that are still shown: live ones, and deleted ones with live replies
+const VISIBLE_FILTER = { $or: [{ isDeleted: false }, { descendantCount: { $gt: 0 } }] };
+
+// Strip everything but the thread structure from a deleted comment
+const toTombstone = comment => {
+  comment.author = null;
+  comment.content = null;
+  comment.voteCount = 0;
+  return comment;
+};
+
+// Count the direct replies of each comment that are still shown in the
+// thread. replyCount never goes down and includes deleted replies that have
+// dropped out, so it only serves to skip comments that never had replies.
+const countVisibleReplies = async (postId, comments) => {
+  const ids = comments.filter(comment => comment.replyCount > 0).map(comment => comment._id);
+  if (ids.length === 0) return new Map();
+  
+  const counts = await Comment.aggregate([
+    { $match: { post: postId, parentId: { $in: ids }, ...VISIBLE_FILTER } },
+    { $group: { _id: '$parentId', count: { $sum: 1 } } }
+  ]);
+  
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Nest the loaded descendants under their parents, showing at most
+// replyLimit replies per comment. Comments with replies that weren't loaded
+// get a `moreReplies` continuation for GET /api/comments/:id/replies.
+// Returns every comment that ended up in the tree.
+const attachReplies = (roots, descendants, { replyLimit, replyCounts, viewer }) => {
+  const shown = [];
+  const childrenByParent = new Map();
+  
+  for (const comment of descendants) {
+    const key = comment.parentId.toString();
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(comment);
+  }
+  
+  const visit = comment => {
+    if (comment.isDeleted) toTombstone(comment);
+    presentRemoved(comment, viewer, { hideAuthor: true });
+    shown.push(comment);
+    
+    const children = (childrenByParent.get(comment._id.toString()) || []).slice(0, replyLimit);
+    
+    // Take the cursor before the children are visited and possibly tombstoned
+    const remaining = (replyCounts.get(comment._id.toString()) || 0) - children.length;
+    if (remaining > 0) {
+      const last = children[children.length - 1];
+      comment.moreReplies = {
+        count: remaining,
+        after: last ? encodeCursor(last, COMMENT_SORT) : null
+      };
+    }
+    
+    comment.replies = children;
+    children.forEach(visit);
+  };
+  
+  roots.forEach(visit);
+  return shown;
+};
+
+// Load one page of the direct replies to `parent` (or the top-level comments
+// of the post when parent is null), each with its subtree down to `depth`
+// levels. Uses two queries regardless of the thread size. The viewer
+// ({ userId, isModerator }) decides what removed comments reveal. Returns the
+// listing envelope, or null if the cursor is invalid.
+const loadThread = async ({ postId, parent = null, query, viewer }) => {
+  const depth = parseDepth(query.depth);
+  const replyLimit = Math.min(parseLimit(query.replyLimit, DEFAULT_REPLY_LIMIT), MAX_REPLY_LIMIT);
+  const page = getPageQuery(query, COMMENT_SORT, 20);
+  if (!page) return null;
+  
+  const filter = {
+    post: postId,
+    parentId: parent ? parent._id : null,
+    ...VISIBLE_FILTER
+  };
+  
+  const docs = await Comment.find(withCursor(filter, page))
+    .sort(page.sort)
+    .limit(page.limit + 1)
+    .populate('author', 'username avatar')
+    .lean();
+  
+  const result = buildPage(docs, COMMENT_SORT, page);
+  let descendants = [];
+  
+  if (depth > 1 && result.items.length > 0) {
+    const rootDepth = parent ? parent.depth + 1 : 0;
+    
+    descendants = await Comment.find({
+      ancestors: { $in: result.items.map(comment => comment._id) },
+      depth: { $lt: rootDepth + depth },
+      ...VISIBLE_FILTER
+    })
+      .sort(COMMENT_SORT)
+      .limit(MAX_DESCENDANTS)
+      .populate('author', 'username avatar')
+      .lean();
+  }
+  
+  const replyCounts = await countVisibleReplies(postId, [...result.items, ...descendants]);
+  const shown = attachReplies(result.items, descendants, { replyLimit, replyCounts, viewer });
+  await attachUserVotes(shown.filter(comment => !comment.isDeleted), viewer.userId);
+  await attachSavedState(shown.filter(comment => !comment.isDeleted), viewer.userId);
+  
+  return result;
+};
+
+module.exports = {
+  COMMENT_SORT,
+  MAX_DEPTH,
+  VISIBLE_FILTER,
+  toTombstone,
+  countVisibleReplies,
+  loadThread
+};
@@ -0,0 +1,85 @@
+
+const Community = require('../models/Community');
+const CommunityBan = require('../models/CommunityBan');
+
+// Compare a list of ObjectIds (or populated documents) against a user id
+const containsId = (list, id) =>
+  (list || []).some(item => (item._id || item).toString() === id.toString());
+
+// Check if user moderates the community
+exports.isModerator = (community, user) =>
+  !!user && containsId(community.moderators, user._id);
+
+// Check if user has joined the community
+exports.isMember = (community, user) =>
+  !!user && containsId(user.joinedCommunities, community._id);
+
+// Check if user has been approved (or invited) by the moderators
+exports.isApproved = (community, user) =>
+  !!user && containsId(community.approvedUsers, user._id);
+
+// Private communities are only visible to members, approved users and moderators
+exports.canView = (community, user) => {
+  if (community.type !== 'private') return true;
+  if (!user) return false;
+  
+  return user.isAdmin ||
+    exports.isModerator(community, user) ||
+    exports.isMember(community, user) ||
+    exports.isApproved(community, user);
+};
+
+// Anyone can post in public communities, members can post in private ones,
+// and restricted communities only accept approved submitters
+exports.canSubmit = (community, user) => {
+  if (!user) return false;
+  if (user.isAdmin || exports.isModerator(community, user)) return true;
+  
+  switch (community.type) {
+    case 'restricted':
+      return exports.isApproved(community, user);
+    case 'private':
+      return exports.isMember(community, user) || exports.isApproved(community, user);
+    default:
+      return true;
+  }
+};
+
+// Joining a private community requires approval first
+exports.canJoin = (community, user) =>
+  community.type !== 'private' ||
+  user.isAdmin ||
+  exports.isModerator(community, user) ||
+  exports.isApproved(community, user);
+
+// Get the user's active ban (or mute) from the community, if any
+exports.getActiveBan = (community, user, type = 'ban') =>
+  CommunityBan.findActive(community._id, user._id, type);
+
+// Response body for a request rejected because of a ban or mute
+exports.bannedResponse = ban => ({
+  message: ban.type === 'mute' ? 'You are muted in this community' : 'You are banned from this community',
+  reason: ban.reason || null,
+  expiresAt: ban.expiresAt || null
+});
+
+// Get the community a post belongs to (whether or not it is populated).
+// Resolves to null if the community no longer exists.
+exports.getPostCommunity = async post =>
+  post.community ? Community.findById(post.community._id || post.community) : null;
+
+// Ids of the private communities whose content should be excluded from
+// listings for this user (or for anonymous visitors when user is undefined)
+exports.getHiddenCommunities = async user => {
+  if (user && user.isAdmin) return [];
+  
+  const filter = { type: 'private' };
+  
+  if (user) {
+    filter._id = { $nin: user.joinedCommunities };
+    filter.moderators = { $ne: user._id };
+    filter.approvedUsers = { $ne: user._id };
+  }
+  
+  return Community.find(filter).distinct('_id');
+};
@@ -0,0 +1,62 @@
+
+const { EventEmitter } = require('events');
+
+// In-process bus: events only reach subscribers in the same server process.
+// Anything with the same publish/subscribe methods can replace it (see
+// setEventBus), e.g. a bus backed by a message broker when running several
+// processes.
+const createMemoryBus = () => {
+  const emitter = new EventEmitter();
+  
+  // One listener per open connection per channel
+  emitter.setMaxListeners(0);
+  
+  return {
+    publish(channel, event) {
+      emitter.emit(channel, event);
+    },
+    
+    // Returns a function that removes the subscription
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+let bus = createMemoryBus();
+
+const setEventBus = newBus => {
+  bus = newBus;
+};
+
+// Publish an event of the given type. Live updates are best-effort, so a
+// failing bus never fails the request that published the event.
+const publish = (channel, type, data) => {
+  try {
+    Promise.resolve(bus.publish(channel, { type, data })).catch(error => {
+      console.error('Event publish error:', error);
+    });
+  } catch (error) {
+    console.error('Event publish error:', error);
+  }
+};
+
+const subscribe = (channel, handler) => bus.subscribe(channel, handler);
+
+// Channel names
+const channels = {
+  post: id => `post:${id}`,
+  community: id => `community:${id}`,
+  user: id => `user:${id}`,
+  // Control channel for the streams opened with a session or access token
+  session: id => `session:${id}`
+};
+
+module.exports = {
+  createMemoryBus,
+  setEventBus,
+  publish,
+  subscribe,
+  channels
+};
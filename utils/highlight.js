@@ -0,0 +1,66 @@
+
+// Escape characters with a special meaning in regular expressions, so user
+// input can only ever match literally
+exports.escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = value => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Terms worth highlighting from a text search query: words and quoted
+// phrases, without negated ("-word") terms
+exports.getSearchTerms = query => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  
+  while ((match = pattern.exec(query)) !== null && terms.length < 10) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term.length > 0) terms.push(term);
+  }
+  
+  return terms;
+};
+
+// HTML-escaped excerpt of text around the first matching term, with every
+// match wrapped in <mark>. Returns null if text is empty.
+exports.highlight = (text, terms, maxLength = 200) => {
+  if (!text) return null;
+  
+  const source = terms.length > 0
+    ? terms.map(exports.escapeRegex).join('|')
+    : null;
+  const pattern = source ? new RegExp(source, 'gi') : null;
+  
+  // Center the excerpt on the first match
+  let start = 0;
+  if (pattern && text.length > maxLength) {
+    const first = text.search(new RegExp(source, 'i'));
+    if (first > 0) {
+      start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+    }
+  }
+  
+  const excerpt = text.slice(start, start + maxLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = start + maxLength < text.length ? '…' : '';
+  
+  if (!pattern) return prefix + escapeHtml(excerpt) + suffix;
+  
+  let result = '';
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = pattern.exec(excerpt)) !== null) {
+    result += escapeHtml(excerpt.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  result += escapeHtml(excerpt.slice(lastIndex));
+  
+  return prefix + result + suffix;
+};
@@ -0,0 +1,57 @@
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Messages delivered by the memory transport, oldest first
+const outbox = [];
+
+let smtpTransporter = null;
+
+// Ways of delivering a message, picked with MAIL_TRANSPORT. Without it, mail
+// goes over SMTP when SMTP_URL is set and to a local file otherwise.
+const transports = {
+  // Keep messages in the outbox array, for tests
+  memory: async message => {
+    outbox.push(message);
+  },
+  
+  // Append messages to MAIL_FILE as JSON lines, for local development
+  file: async message => {
+    const file = process.env.MAIL_FILE || path.join(os.tmpdir(), 'reddit-clone-mail.jsonl');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+  },
+  
+  // Send through the SMTP server at SMTP_URL. nodemailer is only loaded
+  // when this transport is actually used.
+  smtp: async message => {
+    if (!smtpTransporter) {
+      const nodemailer = require('nodemailer');
+      smtpTransporter = nodemailer.createTransport(process.env.SMTP_URL);
+    }
+    await smtpTransporter.sendMail(message);
+  }
+};
+
+// Send an email with a plain text body
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? 'smtp' : 'file');
+  const transport = transports[name];
+  
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  outbox,
+  sendMail
+};
@@ -0,0 +1,54 @@
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { publish, channels } = require('./eventBus');
+const { canModerate } = require('./moderation');
+
+const containsId = (list, id) => list.some(item => (item._id || item).toString() === id.toString());
+
+// Participants can read a conversation; modmail is also open to every
+// moderator of its community
+exports.canAccessConversation = (conversation, community, user) =>
+  containsId(conversation.participants, user._id) ||
+  (conversation.type === 'modmail' && !!community && canModerate(community, user));
+
+// Add a message to a conversation. Everyone on the conversation except the
+// sender gets it marked unread and pushed over the event stream.
+exports.addMessage = async ({ conversation, community, sender, body, asModerator = false }) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    body,
+    asModerator
+  });
+  
+  const recipients = [...conversation.participants, ...(community ? community.moderators : [])]
+    .map(id => (id._id || id).toString())
+    .filter((id, i, ids) => id !== sender._id.toString() && ids.indexOf(id) === i);
+  
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: { lastMessageAt: message.createdAt },
+      $addToSet: { unreadBy: { $each: recipients } }
+    }
+  );
+  await exports.markRead(conversation._id, sender._id);
+  
+  await message.populate('sender', 'username avatar');
+  recipients.forEach(id => {
+    publish(channels.user(id), 'message', { conversation: conversation._id, message });
+  });
+  
+  return message;
+};
+
+exports.markRead = (conversationId, userId) =>
+  Conversation.updateOne({ _id: conversationId }, { $pull: { unreadBy: userId } });
+
+// Replace the unread list (other users' read state) with the viewer's flag
+exports.presentConversation = (conversation, userId) => {
+  conversation.unread = containsId(conversation.unreadBy || [], userId);
+  delete conversation.unreadBy;
+  return conversation;
+};
@@ -0,0 +1,34 @@
+
+const ModLog = require('../models/ModLog');
+const User = require('../models/User');
+
+// Record a moderator or admin action. The action has already happened by the
+// time it is logged, so a logging failure is reported but not rethrown.
+exports.logModAction = async entry => {
+  try {
+    await ModLog.create(entry);
+  } catch (error) {
+    console.error('Mod log error:', error);
+  }
+};
+
+// Build the log filter for the action and moderator (username) query
+// parameters. An unknown moderator matches no entries.
+exports.getModLogFilter = async (query, filter = {}) => {
+  if (query.action) filter.action = query.action;
+  
+  if (query.moderator) {
+    const moderator = await User.findOne({ username: query.moderator }).select('_id').lean();
+    filter.moderator = moderator ? moderator._id : { $in: [] };
+  }
+  
+  return filter;
+};
+
+// Populated fields shown in log listings
+exports.MOD_LOG_POPULATE = [
+  { path: 'moderator', select: 'username' },
+  { path: 'targetUser', select: 'username' },
+  { path: 'community', select: 'name' },
+  { path: 'target', select: 'title name username' }
+];
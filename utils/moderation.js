@@ -0,0 +1,107 @@
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { isModerator } = require('./communityAccess');
+const { notify } = require('./notifications');
+
+// Maximum number of pinned posts per community
+exports.MAX_PINNED = 2;
+
+// Moderators of the community and site admins can moderate its content
+exports.canModerate = (community, user) =>
+  !!user && (user.isAdmin || isModerator(community, user));
+
+// Hide a removed post's or comment's content from everyone but its author
+// and the moderators. The author sees why it was removed, but not by whom.
+exports.presentRemoved = (item, { userId, isModerator: viewerIsModerator }, { hideAuthor = false } = {}) => {
+  if (!item.isRemoved || viewerIsModerator) return item;
+  
+  const authorId = item.author && (item.author._id || item.author);
+  if (userId && authorId && authorId.toString() === userId.toString()) {
+    if (item.removal) {
+      item.removal = { reason: item.removal.reason, at: item.removal.at };
+    }
+    return item;
+  }
+  
+  delete item.removal;
+  item.content = null;
+  delete item.url;
+  delete item.imageUrl;
+  if (hideAuthor) item.author = null;
+  
+  return item;
+};
+
+// Remove a post or comment. Removed comments stop counting towards their
+// post's comment count, so only the update that actually flipped the flag
+// adjusts it. Returns true if the item wasn't already removed.
+exports.removeContent = async (targetType, item, removal) => {
+  const Model = targetType === 'Post' ? Post : Comment;
+  const update = { $set: { isRemoved: true, removal } };
+  
+  // Removed posts drop off the pinned list
+  if (targetType === 'Post') {
+    update.$set.isPinned = false;
+    update.$unset = { pinnedAt: 1 };
+  }
+  
+  const removed = await Model.findOneAndUpdate({ _id: item._id, isRemoved: { $ne: true } }, update);
+  
+  // A moderator's removal replaces an automatic one, but the report threshold
+  // never overwrites a removal that is already in place
+  if (!removed) {
+    if (removal.by) await Model.updateOne({ _id: item._id }, update);
+    return false;
+  }
+  
+  if (targetType === 'Comment' && !removed.isDeleted) {
+    await Post.updateOne({ _id: removed.post }, { $inc: { commentCount: -1 } });
+  }
+  
+  // Let the author know when a moderator (rather than the report threshold)
+  // took it down. The moderator stays anonymous.
+  if (removal.by) {
+    const post = targetType === 'Post'
+      ? removed
+      : await Post.findById(removed.post).select('community').lean();
+    
+    await notify({
+      recipient: removed.author,
+      type: 'mod_removal',
+      post: targetType === 'Post' ? removed._id : removed.post,
+      comment: targetType === 'Comment' ? removed._id : undefined,
+      community: post && post.community,
+      data: { reason: removal.reason }
+    });
+  }
+  
+  return true;
+};
+
+// Approve a post or comment, restoring it if it was removed. With
+// automaticOnly, only a removal made by the report threshold is undone and a
+// moderator's removal stays in place. Returns true if the item was restored.
+exports.approveContent = async (targetType, item, userId, { automaticOnly = false } = {}) => {
+  const Model = targetType === 'Post' ? Post : Comment;
+  const approval = { approvedBy: userId, approvedAt: new Date() };
+  
+  const filter = { _id: item._id, isRemoved: true };
+  if (automaticOnly) filter['removal.by'] = null;
+  
+  const restored = await Model.findOneAndUpdate(
+    filter,
+    { $set: { isRemoved: false, ...approval }, $unset: { removal: 1 } }
+  );
+  
+  if (!restored) {
+    await Model.updateOne({ _id: item._id, isRemoved: { $ne: true } }, { $set: approval });
+    return false;
+  }
+  
+  if (targetType === 'Comment' && !restored.isDeleted) {
+    await Post.updateOne({ _id: restored.post }, { $inc: { commentCount: 1 } });
+  }
+  
+  return true;
+};
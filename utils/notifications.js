@@ -0,0 +1,120 @@
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { canView } = require('./communityAccess');
+const { publish, channels } = require('./eventBus');
+
+// Vote counts that earn the author a notification
+const VOTE_MILESTONES = [10, 50, 100, 500, 1000, 5000, 10000];
+
+// At most this many users are notified for mentions in one post or comment
+const MAX_MENTIONS = 10;
+
+// u/username or /u/username mentions. Links such as example.com/u/name
+// don't count.
+const MENTION_PATTERN = /(?:^|[^\w/])\/?u\/([A-Za-z0-9_-]{3,20})\b/g;
+
+const sameUser = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Notify a user, unless they triggered it themselves or opted out of the
+// type. Notifications are a side effect of the action that caused them, so
+// failures are reported but not rethrown.
+const notify = async ({ recipient, type, actor, post, comment, community, data }) => {
+  if (!recipient || sameUser(recipient, actor)) return;
+  
+  try {
+    const wantsIt = await User.exists({ _id: recipient, notificationOptOuts: { $ne: type } });
+    if (!wantsIt) return;
+    
+    const notification = await Notification.create({ recipient, type, actor, post, comment, community, data });
+    publish(channels.user(recipient), 'notification', notification);
+  } catch (error) {
+    console.error('Notification error:', error);
+  }
+};
+
+// Usernames mentioned in a piece of text
+const getMentions = text => {
+  const usernames = new Set();
+  
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    usernames.add(match[1]);
+    if (usernames.size >= MAX_MENTIONS) break;
+  }
+  
+  return [...usernames];
+};
+
+// Notify the users mentioned in a post or comment. Users who can't see the
+// community, and those in `exclude` (already notified about a reply), are
+// skipped.
+const notifyMentions = async ({ text, actor, post, comment, community, exclude = [] }) => {
+  const usernames = getMentions(text);
+  if (usernames.length === 0) return;
+  
+  try {
+    const users = await User.find({ username: { $in: usernames } })
+      .select('joinedCommunities isAdmin')
+      .lean();
+    
+    for (const user of users) {
+      if (exclude.some(id => sameUser(id, user._id))) continue;
+      if (community && !canView(community, user)) continue;
+      
+      await notify({ recipient: user._id, type: 'mention', actor, post, comment, community: community && community._id });
+    }
+  } catch (error) {
+    console.error('Mention notification error:', error);
+  }
+};
+
+// Tell the author when their post or comment reaches a vote milestone. Each
+// milestone is only announced once, however often the count crosses it.
+const notifyVoteMilestone = async ({ targetType, target, previousCount, voteCount }) => {
+  const milestone = [...VOTE_MILESTONES].reverse().find(m => previousCount < m && voteCount >= m);
+  if (!milestone || !target.author) return;
+  
+  try {
+    const wantsIt = await User.exists({ _id: target.author, notificationOptOuts: { $ne: 'vote_milestone' } });
+    if (!wantsIt) return;
+    
+    const targetField = targetType === 'Post' ? 'post' : 'comment';
+    const filter = {
+      recipient: target.author,
+      type: 'vote_milestone',
+      [targetField]: target._id,
+      'data.milestone': milestone
+    };
+    
+    // Keep a post's milestones apart from those of the comments on it
+    if (targetType === 'Post') filter.comment = null;
+    
+    // Comment milestones also point at the post, to link to the thread
+    const extra = {};
+    if (targetType === 'Comment' && target.post) extra.post = target.post;
+    if (target.community) extra.community = target.community;
+    
+    const result = await Notification.updateOne(filter, { $setOnInsert: extra }, { upsert: true });
+    
+    if (result.upsertedId) {
+      publish(channels.user(target.author), 'notification', {
+        _id: result.upsertedId,
+        type: 'vote_milestone',
+        [targetField]: target._id,
+        data: { milestone }
+      });
+    }
+  } catch (error) {
+    // A concurrent vote already sent this milestone
+    if (error.code === 11000) return;
+    console.error('Vote milestone notification error:', error);
+  }
+};
+
+module.exports = {
+  VOTE_MILESTONES,
+  notify,
+  getMentions,
+  notifyMentions,
+  notifyVoteMilestone
+};
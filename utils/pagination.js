@@ -0,0 +1,188 @@
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Clamp the requested page size to the allowed range
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT) => {
+  const limit = parseInt(value) || defaultLimit;
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+};
+
+// Read a (possibly nested) field off a document
+const getField = (doc, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Dates and ObjectIds don't survive JSON, so tag them
+const serialize = value => {
+  if (value instanceof Date) return { $d: value.getTime() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const deserialize = value => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$d === 'number') return new Date(value.$d);
+    if (typeof value.$o === 'string' && mongoose.isValidObjectId(value.$o)) {
+      return new mongoose.Types.ObjectId(value.$o);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  return value;
+};
+
+// Opaque cursor: the sort key values of a document, plus optional extras
+// (such as the time a computed score was evaluated at)
+const encodeCursor = (doc, sortOption, extra = {}) => {
+  const values = Object.keys(sortOption).map(field => serialize(getField(doc, field)));
+  return Buffer.from(JSON.stringify({ ...extra, v: values })).toString('base64url');
+};
+
+const decodeCursor = (token, sortOption) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+    
+    if (!Array.isArray(payload.v) || payload.v.length !== Object.keys(sortOption).length) {
+      return null;
+    }
+    
+    return { ...payload, v: payload.v.map(deserialize) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyset condition selecting the documents that sort strictly after the
+// cursor values (or strictly before them when going backwards)
+const cursorFilter = (sortOption, values, backwards) => {
+  const fields = Object.keys(sortOption);
+  
+  return {
+    $or: fields.map((field, i) => {
+      const ascending = sortOption[field] === 1;
+      const operator = ascending !== backwards ? '$gt' : '$lt';
+      const condition = {};
+      
+      fields.slice(0, i).forEach((previous, j) => {
+        condition[previous] = values[j];
+      });
+      condition[field] = { [operator]: values[i] };
+      
+      return condition;
+    })
+  };
+};
+
+const invertSort = sortOption =>
+  Object.fromEntries(Object.entries(sortOption).map(([field, direction]) => [field, -direction]));
+
+// Work out the query for a page from the `after`, `before` and `limit`
+// query parameters. The sort must end with a unique field (usually _id).
+// Returns null when the cursor is malformed.
+const getPageQuery = (query, sortOption, defaultLimit) => {
+  const limit = parseLimit(query.limit, defaultLimit);
+  const token = query.before || query.after;
+  const backwards = !!query.before;
+  
+  if (!token) {
+    return { limit, sort: sortOption, filter: null, backwards: false, isFirstPage: true, cursor: null };
+  }
+  
+  const cursor = decodeCursor(token, sortOption);
+  if (!cursor) return null;
+  
+  return {
+    limit,
+    sort: backwards ? invertSort(sortOption) : sortOption,
+    filter: cursorFilter(sortOption, cursor.v, backwards),
+    backwards,
+    isFirstPage: false,
+    cursor
+  };
+};
+
+// Combine a base filter with the page's keyset condition
+const withCursor = (filter, page) =>
+  page.filter ? { $and: [filter, page.filter] } : filter;
+
+// Turn the fetched documents (queried with limit + 1) into the response
+// envelope shared by every listing endpoint
+const buildPage = (docs, sortOption, page, extra = {}) => {
+  const hasMore = docs.length > page.limit;
+  const items = docs.slice(0, page.limit);
+  
+  if (page.backwards) items.reverse();
+  
+  const first = items[0];
+  const last = items[items.length - 1];
+  
+  // Going forwards there is a previous page unless this is the first one;
+  // going backwards there is always a next page
+  const hasNext = page.backwards ? true : hasMore;
+  const hasPrevious = page.backwards ? hasMore : !page.isFirstPage;
+  
+  return {
+    items,
+    paging: {
+      limit: page.limit,
+      after: hasNext && last ? encodeCursor(last, sortOption, extra) : null,
+      before: hasPrevious && first ? encodeCursor(first, sortOption, extra) : null
+    }
+  };
+};
+
+// Fetch the documents for a page when some are filtered out after the query.
+// fetchBatch(batchPage) runs the query like a normal page (limit + 1 rows,
+// applying batchPage.filter); keep(docs) resolves to the documents to show.
+// Batches continue after the last document seen until the page is full or
+// the listing runs out, so the page keeps its size and its cursors.
+const fetchFiltered = async (page, sortOption, fetchBatch, keep) => {
+  const wanted = page.limit + 1;
+  const kept = [];
+  let batchPage = page;
+  
+  for (;;) {
+    const docs = await fetchBatch(batchPage);
+    kept.push(...await keep(docs));
+    
+    if (kept.length >= wanted || docs.length < wanted) break;
+    
+    const last = docs[docs.length - 1];
+    const values = Object.keys(sortOption).map(field => getField(last, field));
+    batchPage = { ...page, filter: cursorFilter(sortOption, values, page.backwards) };
+  }
+  
+  return kept.slice(0, wanted);
+};
+
+// Fetch one page of a simple find() listing
+const paginateQuery = async (Model, filter, sortOption, query, { populate = [], select, defaultLimit } = {}) => {
+  const page = getPageQuery(query, sortOption, defaultLimit);
+  if (!page) return null;
+  
+  let finder = Model.find(withCursor(filter, page))
+    .sort(page.sort)
+    .limit(page.limit + 1);
+  
+  if (select) finder = finder.select(select);
+  populate.forEach(options => {
+    finder = finder.populate(options);
+  });
+  
+  const docs = await finder.lean();
+  return buildPage(docs, sortOption, page);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  getPageQuery,
+  withCursor,
+  buildPage,
+  fetchFiltered,
+  paginateQuery
+};
@@ -0,0 +1,48 @@
+
+const Post = require('../models/Post');
+const { getSortOptions, risingScoreExpression } = require('./ranking');
+const { getPageQuery, withCursor, buildPage, fetchFiltered } = require('./pagination');
+const { excludeHidden } = require('./savedItems');
+
+const populateOptions = [
+  { path: 'author', select: 'username avatar' },
+  { path: 'community', select: 'name icon' }
+];
+
+// Fetch a page of posts matching filter, sorted and paginated according to
+// the request's query (sort, t, limit, after, before). Posts hidden by
+// hiddenFor (a user) are left out. Returns the listing envelope, or null if
+// the cursor is invalid.
+exports.findPosts = async (filter, query, { defaultSort = 'new', hiddenFor } = {}) => {
+  const { sortOption } = getSortOptions(query.sort || defaultSort, query.t);
+  const page = getPageQuery(query, sortOption);
+  if (!page) return null;
+  
+  // Time windows and rising scores are evaluated at the time of the first
+  // page, so later pages don't shift under the cursor
+  const now = page.cursor && typeof page.cursor.n === 'number' ? page.cursor.n : Date.now();
+  const { sort, filter: sortFilter } = getSortOptions(query.sort || defaultSort, query.t, now);
+  const match = { ...filter, ...sortFilter };
+  
+  const fetchBatch = batchPage => {
+    if (sort === 'rising') {
+      return Post.aggregate([
+        { $match: match },
+        { $addFields: { risingScore: risingScoreExpression(now) } },
+        ...(batchPage.filter ? [{ $match: batchPage.filter }] : []),
+        { $sort: batchPage.sort },
+        { $limit: batchPage.limit + 1 }
+      ]);
+    }
+    
+    return Post.find(withCursor(match, batchPage))
+      .sort(batchPage.sort)
+      .limit(batchPage.limit + 1)
+      .lean();
+  };
+  
+  const posts = await fetchFiltered(page, sortOption, fetchBatch, docs => excludeHidden(docs, hiddenFor));
+  await Post.populate(posts, populateOptions);
+  
+  return buildPage(posts, sortOption, page, { n: now });
+};
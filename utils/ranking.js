@@ -0,0 +1,132 @@
+
+// Reddit's epoch (2005-12-08) in seconds; only shifts every score by a constant
+const EPOCH_SECONDS = 1134028003;
+
+// How far back the rising listing looks
+const RISING_WINDOW = 24 * 60 * 60 * 1000;
+
+// Time windows accepted by the top and controversial sorts
+const TIME_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const SORTS = ['hot', 'new', 'top', 'rising', 'controversial'];
+
+// Log-scaled votes plus a time bonus: every 10x more votes is worth 12.5 hours
+// of recency. The score doesn't depend on the current time, so it can be
+// stored and indexed.
+exports.hotScore = (voteCount, createdAt) => {
+  const order = Math.log10(Math.max(Math.abs(voteCount), 1));
+  const sign = Math.sign(voteCount);
+  const seconds = new Date(createdAt).getTime() / 1000 - EPOCH_SECONDS;
+  
+  return Number((sign * order + seconds / 45000).toFixed(7));
+};
+
+// Posts with many votes split evenly between up and down rank highest
+exports.controversyScore = (upvotes, downvotes) => {
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+  
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+  
+  return Math.pow(magnitude, balance);
+};
+
+// Translate a sort name and time window into a query filter and sort order.
+// Rising has no stored score: it is computed per query from vote velocity.
+exports.getSortOptions = (sortBy, timeWindow, now = Date.now()) => {
+  const sort = SORTS.includes(sortBy) ? sortBy : 'new';
+  const filter = {};
+  
+  let sortOption;
+  
+  switch (sort) {
+    case 'hot':
+      sortOption = { hotScore: -1, _id: -1 };
+      break;
+    case 'top':
+      sortOption = { voteCount: -1, _id: -1 };
+      break;
+    case 'controversial':
+      sortOption = { controversyScore: -1, _id: -1 };
+      break;
+    case 'rising':
+      sortOption = { risingScore: -1, _id: -1 };
+      filter.createdAt = { $gte: new Date(now - RISING_WINDOW) };
+      break;
+    case 'new':
+    default:
+      sortOption = { createdAt: -1, _id: -1 };
+  }
+  
+  // Without a recognised window, top and controversial cover all time
+  if (sort === 'top' || sort === 'controversial') {
+    const window = Object.hasOwn(TIME_WINDOWS, timeWindow) ? TIME_WINDOWS[timeWindow] : null;
+    if (window) {
+      filter.createdAt = { $gte: new Date(now - window) };
+    }
+  }
+  
+  return { sort, filter, sortOption };
+};
+
+// Aggregation expression for the rising score: votes and comments per hour,
+// with a small offset so brand new posts don't dominate
+exports.risingScoreExpression = now => ({
+  $divide: [
+    { $add: ['$voteCount', '$commentCount'] },
+    {
+      $pow: [
+        { $add: [{ $divide: [{ $subtract: [new Date(now), '$createdAt'] }, 60 * 60 * 1000] }, 2] },
+        1.5
+      ]
+    }
+  ]
+});
+
+// Aggregation expressions computing hotScore and controversyScore from the
+// stored fields, so a vote can update the counts and the scores atomically
+exports.hotScoreExpression = () => ({
+  $round: [
+    {
+      $add: [
+        {
+          $multiply: [
+            { $cond: [{ $gt: ['$voteCount', 0] }, 1, { $cond: [{ $lt: ['$voteCount', 0] }, -1, 0] }] },
+            { $log10: { $max: [{ $abs: '$voteCount' }, 1] } }
+          ]
+        },
+        { $divide: [{ $subtract: [{ $divide: [{ $toLong: '$createdAt' }, 1000] }, EPOCH_SECONDS] }, 45000] }
+      ]
+    },
+    7
+  ]
+});
+
+exports.controversyScoreExpression = () => ({
+  $cond: [
+    { $or: [{ $lte: ['$upvotes', 0] }, { $lte: ['$downvotes', 0] }] },
+    0,
+    {
+      $pow: [
+        { $add: ['$upvotes', '$downvotes'] },
+        {
+          $cond: [
+            { $gt: ['$upvotes', '$downvotes'] },
+            { $divide: ['$downvotes', '$upvotes'] },
+            { $divide: ['$upvotes', '$downvotes'] }
+          ]
+        }
+      ]
+    }
+  ]
+});
+
+exports.SORTS = SORTS;
+exports.TIME_WINDOWS = TIME_WINDOWS;
@@ -0,0 +1,75 @@
+
+const Report = require('../models/Report');
+const { removeContent } = require('./moderation');
+
+// Site-wide number of open reports that hides an item, used by communities
+// that don't set their own. 0 turns auto-hiding off.
+const DEFAULT_REPORT_THRESHOLD = parseInt(process.env.REPORT_THRESHOLD) || 0;
+
+const getReportThreshold = community =>
+  community.reportThreshold ?? DEFAULT_REPORT_THRESHOLD;
+
+// File a report against a post or comment and hide the item once it has
+// collected enough open reports. Returns null if the user's earlier report on
+// it is still open.
+const fileReport = async ({ targetType, item, community, reporter, rule, reason }) => {
+  let report;
+  try {
+    report = await Report.create({
+      reporter,
+      targetType,
+      target: item._id,
+      community: community._id,
+      rule: rule ? { id: rule._id, title: rule.title } : undefined,
+      reason
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+  
+  const threshold = getReportThreshold(community);
+  if (threshold > 0 && !item.isRemoved) {
+    const openReports = await Report.countDocuments({ target: item._id, status: 'open' });
+    
+    if (openReports >= threshold) {
+      await removeContent(targetType, item, {
+        reason: `Automatically hidden after ${openReports} reports`,
+        at: new Date()
+      });
+    }
+  }
+  
+  return report;
+};
+
+// Close the open reports on an item, marking them resolved (action was taken)
+// or dismissed (the item was fine)
+const closeReports = (targetId, status, userId) =>
+  Report.updateMany(
+    { target: targetId, status: 'open' },
+    { $set: { status, closedBy: userId, closedAt: new Date() } }
+  );
+
+// Count how often each rule or free-text reason was given in a set of reports
+const summarizeReasons = reports => {
+  const counts = new Map();
+  
+  reports.forEach(({ rule, reason }) => {
+    const key = JSON.stringify([rule || null, reason || null]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  
+  return [...counts].map(([key, count]) => {
+    const [rule, reason] = JSON.parse(key);
+    return { rule, reason, count };
+  });
+};
+
+module.exports = {
+  DEFAULT_REPORT_THRESHOLD,
+  getReportThreshold,
+  fileReport,
+  closeReports,
+  summarizeReasons
+};
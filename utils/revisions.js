@@ -0,0 +1,64 @@
+
+const Revision = require('../models/Revision');
+const { canModerate } = require('./moderation');
+const { paginateQuery } = require('./pagination');
+
+// The editable fields kept in each revision
+const REVISION_FIELDS = {
+  Post: ['title', 'content', 'imageUrl', 'url'],
+  Comment: ['content']
+};
+
+// Apply an edit to a post or comment, keeping the version it replaces as a
+// revision. Returns false, saving nothing, if the edit didn't change anything.
+const applyEdit = async (targetType, item, changes, editorId) => {
+  const fields = REVISION_FIELDS[targetType];
+  const previous = Object.fromEntries(fields.map(field => [field, item[field]]));
+  
+  Object.assign(item, changes);
+  if (!item.isModified(fields)) return false;
+  
+  item.editedAt = new Date();
+  if (targetType === 'Comment') item.isEdited = true;
+  
+  // Record the previous version first, so a failure can't leave an edit
+  // without its history. The revision is dropped again if the save fails.
+  const revision = await Revision.create({ targetType, target: item._id, editedBy: editorId, ...previous });
+  
+  try {
+    await item.save();
+  } catch (error) {
+    await Revision.deleteOne({ _id: revision._id });
+    throw error;
+  }
+  
+  return true;
+};
+
+// Edits are closed once the post is locked or removed. Returns the reason,
+// or null if the item can still be edited.
+const getEditBlock = (post, comment) => {
+  if (post.isRemoved) return 'This post has been removed';
+  if (post.isLocked) return 'This post is locked';
+  if (comment && comment.isRemoved) return 'This comment has been removed';
+  return null;
+};
+
+// Edit history is shown to the author and the community's moderators
+const canViewRevisions = (item, community, user) =>
+  item.author?.toString() === user._id.toString() ||
+  (!!community && canModerate(community, user));
+
+// Get a page of an item's revisions, newest first
+const getRevisionPage = (item, query) =>
+  paginateQuery(Revision, { target: item._id }, { createdAt: -1, _id: -1 }, query, {
+    populate: [{ path: 'editedBy', select: 'username avatar' }]
+  });
+
+module.exports = {
+  REVISION_FIELDS,
+  applyEdit,
+  getEditBlock,
+  canViewRevisions,
+  getRevisionPage
+};
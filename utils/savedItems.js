@@ -0,0 +1,55 @@
+
+const SavedItem = require('../models/SavedItem');
+const HiddenPost = require('../models/HiddenPost');
+
+// Upsert that tolerates a concurrent request inserting the same entry first
+const upsertOnce = async (Model, filter, insert = {}) => {
+  try {
+    await Model.updateOne(filter, { $setOnInsert: insert }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+exports.saveItem = (userId, targetType, targetId) =>
+  upsertOnce(SavedItem, { user: userId, target: targetId }, { targetType });
+
+exports.unsaveItem = (userId, targetId) =>
+  SavedItem.deleteOne({ user: userId, target: targetId });
+
+exports.hidePost = (userId, postId) =>
+  upsertOnce(HiddenPost, { user: userId, post: postId });
+
+exports.unhidePost = (userId, postId) =>
+  HiddenPost.deleteOne({ user: userId, post: postId });
+
+// Leave out the posts the user has hidden. Only the given posts are looked
+// up, so the cost doesn't grow with the number of hidden posts.
+exports.excludeHidden = async (posts, user) => {
+  if (!user || posts.length === 0) return posts;
+  
+  const hidden = await HiddenPost.find({ user: user._id, post: { $in: posts.map(post => post._id) } })
+    .distinct('post');
+  const hiddenIds = new Set(hidden.map(id => id.toString()));
+  
+  return posts.filter(post => !hiddenIds.has(post._id.toString()));
+};
+
+// Add the user's saved (and, for posts, hidden) status to each item
+exports.attachSavedState = async (items, userId, { posts = false } = {}) => {
+  if (!userId || items.length === 0) return items;
+  
+  const ids = items.map(item => item._id);
+  const saved = await SavedItem.find({ user: userId, target: { $in: ids } }).distinct('target');
+  const hidden = posts ? await HiddenPost.find({ user: userId, post: { $in: ids } }).distinct('post') : [];
+  
+  const savedIds = new Set(saved.map(id => id.toString()));
+  const hiddenIds = new Set(hidden.map(id => id.toString()));
+  
+  for (const item of items) {
+    item.saved = savedIds.has(item._id.toString());
+    if (posts) item.hidden = hiddenIds.has(item._id.toString());
+  }
+  
+  return items;
+};
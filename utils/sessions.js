@@ -0,0 +1,159 @@
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { publish, channels } = require('./eventBus');
+
+// Access tokens are short-lived; the refresh token keeps the session going
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// How long a just-replaced refresh token is still accepted
+const ROTATION_GRACE = 30 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Start a session for the user, returning it with its refresh token
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+  
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. Returns null if the token is unknown
+// or expired. The token that was just replaced (e.g. by a refresh in another
+// tab) is still accepted during the grace period, but only keeps the session
+// going: it gets no new refresh token, so it can't take the session over.
+// After the grace period it means the token was copied, and the whole
+// session is revoked.
+const rotateSession = async refreshToken => {
+  const hash = hashToken(String(refreshToken));
+  const now = new Date();
+  
+  const session = await Session.findOne({
+    $or: [{ tokenHash: hash }, { previousTokenHash: hash }],
+    expiresAt: { $gt: now }
+  });
+  
+  if (!session) return null;
+  
+  const isCurrent = session.tokenHash === hash;
+  if (!isCurrent && now - session.rotatedAt > ROTATION_GRACE) {
+    await revokeSessions({ _id: session._id });
+    return null;
+  }
+  
+  if (!isCurrent) {
+    return { session, refreshToken: null };
+  }
+  
+  const nextToken = newRefreshToken();
+  
+  // Only rotate from the state that was read, so two refreshes can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL)
+      }
+    },
+    { new: true }
+  );
+  
+  // Lost the race: try again against the updated session
+  if (!rotated) return rotateSession(refreshToken);
+  
+  return { session: rotated, refreshToken: nextToken };
+};
+
+// Close the open event streams signed in with these sessions (or personal
+// access tokens), so they stop receiving private events straight away
+const closeStreams = ids => {
+  ids.forEach(id => publish(channels.session(id), 'revoked', {}));
+};
+
+// Revoke the sessions matching filter. Returns the number revoked.
+const revokeSessions = async filter => {
+  const ids = await Session.find(filter).distinct('_id');
+  if (ids.length === 0) return 0;
+  
+  const result = await Session.deleteMany({ _id: { $in: ids } });
+  closeStreams(ids);
+  return result.deletedCount;
+};
+
+// Revoke the personal access tokens matching filter. Returns the number
+// revoked.
+const revokeAccessTokens = async filter => {
+  const ids = await PersonalAccessToken.find(filter).distinct('_id');
+  if (ids.length === 0) return 0;
+  
+  const result = await PersonalAccessToken.deleteMany({ _id: { $in: ids } });
+  closeStreams(ids);
+  return result.deletedCount;
+};
+
+// Revoke the session a refresh token belongs to
+const revokeSessionByToken = refreshToken =>
+  revokeSessions({ tokenHash: hashToken(String(refreshToken)) });
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL / 1000 }
+  );
+
+// Set the access and refresh token cookies (the refresh cookie is left as it
+// is when there is no new refresh token). The refresh token is only sent to
+// the auth routes.
+const setAuthCookies = (res, session, refreshToken) => {
+  res.cookie('token', signAccessToken(session.user, session._id), {
+    httpOnly: true,
+    maxAge: ACCESS_TOKEN_TTL,
+    sameSite: 'strict'
+  });
+  
+  if (!refreshToken) return;
+  
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    maxAge: REFRESH_TOKEN_TTL,
+    sameSite: 'strict',
+    path: '/api/auth'
+  });
+};
+
+const clearAuthCookies = res => {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: '/api/auth' });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  revokeAccessTokens,
+  revokeSessionByToken,
+  signAccessToken,
+  setAuthCookies,
+  clearAuthCookies
+};
@@ -0,0 +1,118 @@
+
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const User = require('../models/User');
+const { hotScoreExpression, controversyScoreExpression } = require('./ranking');
+const { notifyVoteMilestone } = require('./notifications');
+const { publish, channels } = require('./eventBus');
+
+// Store the user's vote, returning the value it replaced (0 if none)
+async function storeVote(userId, targetType, targetId, value) {
+  if (value === 0) {
+    const removed = await Vote.findOneAndDelete({ user: userId, target: targetId }).lean();
+    return removed ? removed.value : 0;
+  }
+  
+  try {
+    const previous = await Vote.findOneAndUpdate(
+      { user: userId, target: targetId },
+      { $set: { value }, $setOnInsert: { targetType } },
+      { upsert: true, new: false }
+    ).lean();
+    return previous ? previous.value : 0;
+  } catch (error) {
+    // Two concurrent first votes: the unique index rejected the second
+    // insert, so the vote now exists and a plain update will find it
+    if (error.code !== 11000) throw error;
+    return storeVote(userId, targetType, targetId, value);
+  }
+}
+
+// Record a user's vote (1, -1, or 0 to clear it) on a post or comment.
+// The target's counts and its author's karma are adjusted by the difference
+// from the previous vote, so concurrent votes never recount anything.
+// Returns the target's new vote count.
+exports.castVote = async ({ targetType, target, userId, value }) => {
+  const Model = mongoose.model(targetType);
+  const previous = await storeVote(userId, targetType, target._id, value);
+  
+  const delta = value - previous;
+  if (delta === 0) return target.voteCount;
+  
+  let updated;
+  
+  if (targetType === 'Post') {
+    const upvoteDelta = (value === 1 ? 1 : 0) - (previous === 1 ? 1 : 0);
+    const downvoteDelta = (value === -1 ? 1 : 0) - (previous === -1 ? 1 : 0);
+    
+    // Update the counts and the ranking scores derived from them in one step
+    updated = await Model.findOneAndUpdate(
+      { _id: target._id },
+      [
+        {
+          $set: {
+            voteCount: { $add: ['$voteCount', delta] },
+            upvotes: { $add: ['$upvotes', upvoteDelta] },
+            downvotes: { $add: ['$downvotes', downvoteDelta] }
+          }
+        },
+        {
+          $set: {
+            hotScore: hotScoreExpression(),
+            controversyScore: controversyScoreExpression()
+          }
+        }
+      ],
+      { new: true }
+    ).select('voteCount').lean();
+  } else {
+    updated = await Model.findOneAndUpdate(
+      { _id: target._id },
+      { $inc: { voteCount: delta } },
+      { new: true }
+    ).select('voteCount').lean();
+  }
+  
+  // Content from deleted accounts has no author to credit
+  if (target.author) {
+    const karmaField = targetType === 'Post' ? 'postKarma' : 'commentKarma';
+    await User.updateOne(
+      { _id: target.author },
+      { $inc: { karma: delta, [karmaField]: delta } }
+    );
+  }
+  
+  const voteCount = updated ? updated.voteCount : target.voteCount + delta;
+  
+  // Live vote counts for the post page, and for community listings
+  const event = { targetType, id: target._id, voteCount };
+  if (targetType === 'Post') {
+    publish(channels.post(target._id), 'vote', event);
+    if (target.community) publish(channels.community(target.community._id || target.community), 'vote', event);
+  } else if (target.post) {
+    publish(channels.post(target.post), 'vote', event);
+  }
+  
+  if (delta > 0) {
+    await notifyVoteMilestone({ targetType, target, previousCount: voteCount - delta, voteCount });
+  }
+  
+  return voteCount;
+};
+
+// Add the user's vote status to each post or comment
+exports.attachUserVotes = async (items, userId) => {
+  if (!userId || items.length === 0) return items;
+  
+  const votes = await Vote.find({
+    user: userId,
+    target: { $in: items.map(item => item._id) }
+  }).select('target value').lean();
+  const valuesByTarget = new Map(votes.map(vote => [vote.target.toString(), vote.value]));
+  
+  for (const item of items) {
+    item.userVote = valuesByTarget.get(item._id.toString()) || 0;
+  }
+  
+  return items;
+};